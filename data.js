@@ -5,6 +5,9 @@ const mysql = require('mysql2/promise');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const ExcelJS = require('exceljs');
 
 const app = express();
 
@@ -117,6 +120,142 @@ try {
   process.exit(1);
 }
 
+// ---------- Schema (tables owned by this service) ----------
+// Everything else (organogram, dashboards, commitments, ...) is loaded
+// externally; these are created on boot if missing.
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS user_credentials (
+     Emp_Code VARCHAR(50) PRIMARY KEY,
+     password_hash VARCHAR(255) NOT NULL,
+     updated_by VARCHAR(50),
+     updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+   )`,
+  `CREATE TABLE IF NOT EXISTS user_sessions (
+     token_hash CHAR(64) PRIMARY KEY,
+     Emp_Code VARCHAR(50) NOT NULL,
+     created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     expires_at DATETIME NOT NULL,
+     INDEX idx_user_sessions_emp (Emp_Code)
+   )`,
+  `CREATE TABLE IF NOT EXISTS scorecard_versions (
+     id INT AUTO_INCREMENT PRIMARY KEY,
+     role VARCHAR(20) NOT NULL,
+     effective_from VARCHAR(20),
+     definition JSON NOT NULL,
+     note VARCHAR(255),
+     created_by VARCHAR(50),
+     created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     INDEX idx_scorecard_versions_role (role, effective_from)
+   )`,
+  `CREATE TABLE IF NOT EXISTS product_qty_audit (
+     id INT AUTO_INCREMENT PRIMARY KEY,
+     Territory VARCHAR(100) NOT NULL,
+     Period VARCHAR(20),
+     metric VARCHAR(64) NOT NULL,
+     old_value DECIMAL(18,4),
+     new_value DECIMAL(18,4),
+     actor_code VARCHAR(50),
+     actor_name VARCHAR(150),
+     actor_territory VARCHAR(100),
+     changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     INDEX idx_product_qty_audit_lookup (Territory, metric, Period)
+   )`,
+  `CREATE TABLE IF NOT EXISTS commitment_revisions (
+     id INT AUTO_INCREMENT PRIMARY KEY,
+     commitment_id INT NOT NULL,
+     field VARCHAR(64) NOT NULL,
+     old_value VARCHAR(255),
+     new_value VARCHAR(255),
+     actor_code VARCHAR(50),
+     actor_name VARCHAR(150),
+     actor_territory VARCHAR(100),
+     changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     INDEX idx_commitment_revisions_commitment (commitment_id)
+   )`,
+  `CREATE TABLE IF NOT EXISTS escalation_events (
+     id INT AUTO_INCREMENT PRIMARY KEY,
+     escalation_id INT NOT NULL,
+     event VARCHAR(30) NOT NULL,
+     from_status VARCHAR(20),
+     to_status VARCHAR(20),
+     assignee_territory VARCHAR(100),
+     note VARCHAR(1000),
+     actor_code VARCHAR(50),
+     actor_name VARCHAR(150),
+     created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     INDEX idx_escalation_events_escalation (escalation_id)
+   )`,
+  `CREATE TABLE IF NOT EXISTS disclosure_responses (
+     id INT AUTO_INCREMENT PRIMARY KEY,
+     disclosure_id INT NOT NULL,
+     type VARCHAR(20) NOT NULL,
+     comment VARCHAR(1000),
+     actor_code VARCHAR(50),
+     actor_name VARCHAR(150),
+     actor_territory VARCHAR(100),
+     created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     INDEX idx_disclosure_responses_disclosure (disclosure_id)
+   )`,
+  `CREATE TABLE IF NOT EXISTS message_templates (
+     id INT AUTO_INCREMENT PRIMARY KEY,
+     name VARCHAR(100) NOT NULL UNIQUE,
+     body TEXT NOT NULL,
+     description VARCHAR(255),
+     updated_by VARCHAR(50),
+     created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+   )`,
+  `CREATE TABLE IF NOT EXISTS period_locks (
+     id INT AUTO_INCREMENT PRIMARY KEY,
+     Period VARCHAR(20) NOT NULL,
+     division VARCHAR(100) NOT NULL DEFAULT '',
+     locked TINYINT(1) NOT NULL,
+     reason VARCHAR(500),
+     actor_code VARCHAR(50),
+     actor_name VARCHAR(150),
+     created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+     INDEX idx_period_locks_period (Period, division)
+   )`,
+];
+
+// Columns this service adds to externally loaded tables
+const SCHEMA_COLUMNS = [
+  ['commitments', 'status', `VARCHAR(20) NOT NULL DEFAULT 'sent'`],
+  ['commitments', 'status_changed_at', `DATETIME NULL`],
+  ['commitments', 'actual_value', `DECIMAL(18,4) NULL`],
+  ['commitments', 'evaluated_at', `DATETIME NULL`],
+  ['information', 'read_at', `DATETIME NULL`],
+  ['information', 'archived_at', `DATETIME NULL`],
+  ['escalations', 'status', `VARCHAR(20) NOT NULL DEFAULT 'open'`],
+  ['escalations', 'assignee_territory', `VARCHAR(100) NULL`],
+  ['escalations', 'assignee_code', `VARCHAR(50) NULL`],
+  ['escalations', 'assignee_name', `VARCHAR(150) NULL`],
+  ['escalations', 'level', `INT NOT NULL DEFAULT 1`],
+  ['escalations', 'assigned_at', `DATETIME NULL`],
+  ['escalations', 'resolved_at', `DATETIME NULL`],
+  ['escalations', 'resolution', `VARCHAR(1000) NULL`],
+];
+
+async function ensureColumn(table, column, definition) {
+  const [rows] = await pool.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  if (rows.length === 0) {
+    await pool.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  }
+}
+
+async function ensureSchema() {
+  for (const ddl of SCHEMA) {
+    await pool.query(ddl);
+  }
+  for (const [table, column, definition] of SCHEMA_COLUMNS) {
+    await ensureColumn(table, column, definition);
+  }
+}
+
 // Test connection
 pool.getConnection()
   .then(conn => {
@@ -126,1725 +265,2313 @@ pool.getConnection()
   .catch(err => {
     console.error('❌ Failed to connect to Aiven MySQL:', err.message);
     process.exit(1);
+  })
+  .then(ensureSchema)
+  .catch(err => {
+    console.error('❌ Failed to prepare schema:', err.message);
+    process.exit(1);
+  })
+  .then(() => backfillEscalationAssignees()
+    .then(({ assigned }) => {
+      if (assigned) console.log(`Assigned ${assigned} legacy escalation(s) to the raiser's manager`);
+    })
+    .catch(err => console.error("Error backfilling escalation assignees:", err)))
+  .then(() => {
+    startCommitmentEvaluator();
+    startEscalationMonitor();
   });
 
 // ---------- Health check ----------
 app.get('/healthz', (_, res) => res.send('ok'));
 
 
-// ---------- Helper: computeAggregates ----------
-// ---------- Hierarchy Route (Fixed) ----------
-// GET one Emp_Name by Territory
+// ---------- Auth: login + server-side sessions ----------
+// Callers log in with their organogram Emp_Code and get an opaque bearer
+// token. Only its sha256 is stored, so a leaked sessions table can't be
+// replayed. Territory / role / division are always re-read from organogram.
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 12);
+const ADMIN_EMP_CODES = (process.env.ADMIN_EMP_CODES || '')
+  .split(',')
+  .map(code => code.trim())
+  .filter(Boolean);
+
+const scrypt = promisify(crypto.scrypt);
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
 
+async function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || '').split(':');
+  if (!salt || !hash) return false;
 
-app.post("/hierarchy", async (req, res) => {
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function toSessionUser(emp) {
+  return {
+    empCode: emp.Emp_Code,
+    empName: emp.Emp_Name,
+    territory: emp.Territory,
+    role: emp.Role,
+    division: emp.Division || null,
+    isAdmin: ADMIN_EMP_CODES.includes(emp.Emp_Code),
+  };
+}
+
+async function findEmployeeByCode(empCode) {
+  const [rows] = await pool.query(
+    `SELECT Emp_Code, Emp_Name, Territory, Role, Division
+     FROM organogram
+     WHERE Emp_Code = ? AND Emp_Code != 'Vacant'
+     LIMIT 1`,
+    [empCode]
+  );
+  return rows[0] || null;
+}
+
+app.post('/login', async (req, res) => {
   try {
-    const { territory, includeInactive, Month } = req.body || {};
-    let rows = [];
+    const { Emp_Code, password } = req.body || {};
 
-    let query = "SELECT * FROM hierarchy_metrics_agg_rm WHERE 1=1";
-    let params = [];
+    if (!Emp_Code || !password) {
+      return res.status(400).json({ error: "Emp_Code and password are required" });
+    }
 
-    if (includeInactive !== true) {
-      query += " AND Emp_Code != 'Vacant'";
+    const emp = await findEmployeeByCode(Emp_Code);
+    if (!emp) {
+      return res.status(401).json({ error: "Invalid employee code or password" });
     }
 
-    if (Month) {
-      query += " AND Period = ?";
-      params.push(Month);
+    const [credRows] = await pool.query(
+      `SELECT password_hash FROM user_credentials WHERE Emp_Code = ? LIMIT 1`,
+      [emp.Emp_Code]
+    );
+
+    let valid = false;
+    if (credRows.length > 0) {
+      valid = await verifyPassword(password, credRows[0].password_hash);
+    } else if (ADMIN_EMP_CODES.includes(emp.Emp_Code) && process.env.ADMIN_BOOTSTRAP_PASSWORD) {
+      // First admin login, before anyone has been issued a password
+      valid = safeEqual(password, process.env.ADMIN_BOOTSTRAP_PASSWORD);
     }
 
-    [rows] = await pool.query(query, params);
+    if (!valid) {
+      return res.status(401).json({ error: "Invalid employee code or password" });
+    }
 
-    if (!rows.length) return res.json({ message: "No data found" });
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
 
-    // Map by territory
-    const byTerritory = {};
-    rows.forEach((r) => (byTerritory[r.Territory] = r));
+    await pool.query(
+      `INSERT INTO user_sessions (token_hash, Emp_Code, expires_at) VALUES (?, ?, ?)`,
+      [hashToken(token), emp.Emp_Code, expiresAt]
+    );
 
-    const avg = (arr) =>
-      arr.length ? arr.reduce((a, b) => a + (b || 0), 0) / arr.length : 0;
+    res.json({ token, expiresAt, user: toSessionUser(emp) });
+  } catch (err) {
+    console.error("Error /login:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
 
-    const sum = (arr) =>
-      arr.length ? arr.reduce((a, b) => a + (b || 0), 0) : 0;
+// Resolves the bearer token to req.user; every route registered after this
+// point requires a valid session.
+async function requireAuth(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
 
-    function buildNode(terr) {
-      const emp = byTerritory[terr];
-      if (!emp) return null;
+  if (!token) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
 
-      const childRows = rows.filter(
-        (r) => r.Area_Name && r.Area_Name.trim() === emp.Territory.trim()
-      );
+  try {
+    const tokenHash = hashToken(token);
+    const [rows] = await pool.query(
+      `SELECT o.Emp_Code, o.Emp_Name, o.Territory, o.Role, o.Division
+       FROM user_sessions s
+       JOIN organogram o ON o.Emp_Code = s.Emp_Code
+       WHERE s.token_hash = ? AND s.expires_at > NOW()
+       LIMIT 1`,
+      [tokenHash]
+    );
 
-      const children = {};
-      for (const c of childRows) {
-        const childNode = buildNode(c.Territory);
-        if (childNode) children[c.Territory] = childNode;
-      }
+    if (rows.length === 0) {
+      return res.status(401).json({ error: "Session expired or invalid" });
+    }
 
-      // Node with metrics (existing + new commitment fields)
-      let node = {
-        empName: emp.Emp_Name,
-        territory: emp.Territory,
-        role: emp.Role,
-        children,
-
-        Coverage: emp.Coverage ? parseFloat(emp.Coverage) : 0,
-        Calls: emp.Calls ? parseFloat(emp.Calls) : 0,
-        Compliance: emp.Compliance ? parseFloat(emp.Compliance) : 0,
-        Chemist_Calls: emp.Chemist_Calls ? parseFloat(emp.Chemist_Calls) : 0,
-
-        // PRODUCT QTY FIELDS (existing)
-        Deksel_Midmonth_Qty: emp.Deksel_Midmonth_Qty
-          ? parseFloat(emp.Deksel_Midmonth_Qty)
-          : 0,
-
-        Voltaneuron_Midmonth_Qty: emp.Voltaneuron_Midmonth_Qty
-          ? parseFloat(emp.Voltaneuron_Midmonth_Qty)
-          : 0,
-
-        Proaxen_Midmonth_Qty: emp.Proaxen_Midmonth_Qty
-          ? parseFloat(emp.Proaxen_Midmonth_Qty)
-          : 0,
-
-        // 🔥 NEW COMMITMENT FIELDS
-        Deksel_Commitment: emp.Deksel_Commitment
-          ? parseFloat(emp.Deksel_Commitment)
-          : 0,
-
-        Proaxen_Commitment: emp.Proaxen_Commitment
-          ? parseFloat(emp.Proaxen_Commitment)
-          : 0,
-
-        Voltaneuron_Vasoneuron_Commitment:
-          emp.Voltaneuron_Vasoneuron_Commitment
-            ? parseFloat(emp.Voltaneuron_Vasoneuron_Commitment)
-            : 0,
-      };
+    req.user = toSessionUser(rows[0]);
+    req.sessionTokenHash = tokenHash;
+    next();
+  } catch (err) {
+    console.error("Error resolving session:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
 
-      // Aggregation logic
-      if (Object.keys(children).length > 0) {
-        const agg = {
-          Coverage: [],
-          Calls: [],
-          Compliance: [],
-          Chemist_Calls: [],
-
-          // PRODUCT ARRAYS (existing)
-          Deksel_Midmonth_Qty: [],
-          Voltaneuron_Midmonth_Qty: [],
-          Proaxen_Midmonth_Qty: [],
-
-          // 🔥 NEW COMMITMENT ARRAYS
-          Deksel_Commitment: [],
-          Proaxen_Commitment: [],
-          Voltaneuron_Vasoneuron_Commitment: [],
-        };
+function requireAdmin(req, res, next) {
+  if (!req.user || !req.user.isAdmin) {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+}
 
-        for (const ch of Object.values(children)) {
-          agg.Coverage.push(ch.Coverage || 0);
-          agg.Calls.push(ch.Calls || 0);
-          agg.Compliance.push(ch.Compliance || 0);
-          agg.Chemist_Calls.push(ch.Chemist_Calls || 0);
-
-          // EXISTING PRODUCT QTY PUSH
-          agg.Deksel_Midmonth_Qty.push(ch.Deksel_Midmonth_Qty || 0);
-          agg.Voltaneuron_Midmonth_Qty.push(ch.Voltaneuron_Midmonth_Qty || 0);
-          agg.Proaxen_Midmonth_Qty.push(ch.Proaxen_Midmonth_Qty || 0);
-
-          // 🔥 NEW COMMITMENT PUSH
-          agg.Deksel_Commitment.push(ch.Deksel_Commitment || 0);
-          agg.Proaxen_Commitment.push(ch.Proaxen_Commitment || 0);
-          agg.Voltaneuron_Vasoneuron_Commitment.push(
-            ch.Voltaneuron_Vasoneuron_Commitment || 0
-          );
-        }
+app.use(requireAuth);
 
-        // Avg non-sales fields
-        node.Coverage = Math.round(avg(agg.Coverage));
-        node.Calls = Math.round(avg(agg.Calls));
-        node.Compliance = Math.round(avg(agg.Compliance));
-        node.Chemist_Calls = Math.round(avg(agg.Chemist_Calls));
+app.post('/logout', async (req, res) => {
+  try {
+    await pool.query(`DELETE FROM user_sessions WHERE token_hash = ?`, [req.sessionTokenHash]);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error /logout:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
 
-        // SUM product qty fields
-        node.Deksel_Midmonth_Qty = Math.round(sum(agg.Deksel_Midmonth_Qty));
-        node.Voltaneuron_Midmonth_Qty = Math.round(
-          sum(agg.Voltaneuron_Midmonth_Qty)
-        );
-        node.Proaxen_Midmonth_Qty = Math.round(sum(agg.Proaxen_Midmonth_Qty));
+app.get('/me', (req, res) => res.json(req.user));
 
-        // 🔥 SUM commitment fields
-        node.Deksel_Commitment = Math.round(sum(agg.Deksel_Commitment));
-        node.Proaxen_Commitment = Math.round(sum(agg.Proaxen_Commitment));
-        node.Voltaneuron_Vasoneuron_Commitment = Math.round(
-          sum(agg.Voltaneuron_Vasoneuron_Commitment)
-        );
-      }
+app.put('/me/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
 
-      return node;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: "currentPassword and newPassword are required" });
     }
 
-    const allTerritories = rows.map((r) => r.Territory);
-    const topLevels = rows.filter(
-      (r) => !allTerritories.includes(r.Area_Name)
+    const [credRows] = await pool.query(
+      `SELECT password_hash FROM user_credentials WHERE Emp_Code = ? LIMIT 1`,
+      [req.user.empCode]
     );
 
-    const hierarchy = {};
-    if (territory) {
-      const node = buildNode(territory);
-      if (node) hierarchy[territory] = node;
-    } else {
-      for (const top of topLevels) {
-        const node = buildNode(top.Territory);
-        if (node) hierarchy[top.Territory] = node;
-      }
+    if (!credRows.length || !(await verifyPassword(currentPassword, credRows[0].password_hash))) {
+      return res.status(401).json({ error: "Current password is incorrect" });
     }
 
-    res.json(hierarchy);
+    await pool.query(
+      `UPDATE user_credentials SET password_hash = ?, updated_by = ? WHERE Emp_Code = ?`,
+      [await hashPassword(newPassword), req.user.empCode, req.user.empCode]
+    );
+
+    // Drop every other session for this employee
+    await pool.query(
+      `DELETE FROM user_sessions WHERE Emp_Code = ? AND token_hash != ?`,
+      [req.user.empCode, req.sessionTokenHash]
+    );
+
+    res.json({ success: true });
   } catch (err) {
-    console.error("❌ Error:", err);
-    res.status(500).send("Server error: " + err.message);
+    console.error("Error /me/password:", err);
+    res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
+// Admins issue (or reset) an employee's password
+app.put('/admin/credentials', requireAdmin, async (req, res) => {
+  try {
+    const { Emp_Code, password } = req.body || {};
 
+    if (!Emp_Code || !password) {
+      return res.status(400).json({ error: "Emp_Code and password are required" });
+    }
 
+    const emp = await findEmployeeByCode(Emp_Code);
+    if (!emp) {
+      return res.status(404).json({ error: "No employee found for this Emp_Code" });
+    }
 
+    await pool.query(
+      `INSERT INTO user_credentials (Emp_Code, password_hash, updated_by)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE password_hash = VALUES(password_hash), updated_by = VALUES(updated_by)`,
+      [emp.Emp_Code, await hashPassword(password), req.user.empCode]
+    );
+    await pool.query(`DELETE FROM user_sessions WHERE Emp_Code = ?`, [emp.Emp_Code]);
 
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error /admin/credentials:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
 
 
+// ---------- Organogram index + downline authorization ----------
+// Same Area_Name -> Territory parent links as /hierarchy, but read from
+// organogram so it doesn't depend on a Period having been loaded.
+const ORGANOGRAM_CACHE_TTL_MS = Number(process.env.ORGANOGRAM_CACHE_TTL_MS || 5 * 60 * 1000);
+let organogramCache = null;
 
-// ---------- Employees ----------
-app.get('/employees', async (req, res) => {
-  try {
-    const [rows] = await pool.query(`
-      SELECT Emp_Name AS name, Role, Emp_Code, Territory 
-      FROM organogram
-      ORDER BY Emp_Name
-    `);
-    res.json(rows);
-  } catch (err) {
-    console.error('Error /employees:', err);
-    res.status(500).send("Error");
+async function getOrganogramIndex() {
+  if (organogramCache && Date.now() - organogramCache.loadedAt < ORGANOGRAM_CACHE_TTL_MS) {
+    return organogramCache;
   }
-});
 
-app.put('/updateProductQty', async (req, res) => {
-  try {
-    const { territory, metric_type, value, Month } = req.body;
+  const [rows] = await pool.query(
+    `SELECT Territory, Area_Name, Emp_Code, Emp_Name, Role, Division FROM organogram`
+  );
 
-    if (!territory || !metric_type || value === undefined) {
-      return res.status(400).json({
-        error: "territory, metric_type, and value are required"
-      });
+  const byTerritory = new Map();
+  const children = new Map();
+
+  for (const r of rows) {
+    const terr = r.Territory ? String(r.Territory).trim() : '';
+    if (!terr) continue;
+    byTerritory.set(terr, r);
+
+    const parent = r.Area_Name ? String(r.Area_Name).trim() : '';
+    if (parent && parent !== terr) {
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(terr);
     }
+  }
 
-    // Validate metric_type
-    const allowedMetrics = [
-      'deksel_midmonth_qty',
-      'voltaneuron_midmonth_qty',
-      'proaxen_midmonth_qty',
+  organogramCache = { loadedAt: Date.now(), byTerritory, children, downlines: new Map() };
+  return organogramCache;
+}
 
-      // 🔥 newly added commitment metrics
-      'deksel_commitment',
-      'proaxen_commitment',
-      'voltaneuron_vasoneuron_commitment'
-    ];
+// Every territory under (and including) `territory`. Iterative with a
+// visited set so a bad Area_Name loop can't hang the request.
+async function getDownline(territory) {
+  const index = await getOrganogramIndex();
+  const root = String(territory || '').trim();
+
+  if (index.downlines.has(root)) return index.downlines.get(root);
+
+  const seen = new Set();
+  const stack = [root];
+  while (stack.length) {
+    const terr = stack.pop();
+    if (seen.has(terr)) continue;
+    seen.add(terr);
+    for (const child of index.children.get(terr) || []) stack.push(child);
+  }
 
+  index.downlines.set(root, seen);
+  return seen;
+}
 
-    if (!allowedMetrics.includes(metric_type.toLowerCase())) {
-      return res.status(400).json({
-        error: "Invalid metric_type"
-      });
-    }
+async function canAccessTerritory(user, territory) {
+  if (user.isAdmin) return true;
+  if (!territory) return false;
 
-    // Check current value
-    let query = `SELECT ${metric_type} FROM hierarchy_metrics_agg_rm WHERE Territory = ?`;
-    let params = [territory];
+  const downline = await getDownline(user.territory);
+  return downline.has(String(territory).trim());
+}
 
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
+const territoryFromBody = (field = 'Territory') => (req) => req.body && req.body[field];
+const territoryFromParams = (field = 'territory') => (req) => req.params[field];
+const territoryFromQuery = (field = 'Territory') => (req) => req.query[field];
+
+// Route guard: 403 unless the requested territory (defaulting to the
+// caller's own) sits inside the caller's subtree.
+function authorizeTerritory(pick) {
+  return async (req, res, next) => {
+    try {
+      const territory = pick(req) || req.user.territory;
+      if (!(await canAccessTerritory(req.user, territory))) {
+        return res.status(403).json({ error: "You do not have access to this territory" });
+      }
+      next();
+    } catch (err) {
+      console.error("Error authorizing territory:", err);
+      res.status(500).json({ error: "Internal Server Error" });
     }
+  };
+}
 
-    const [currentRows] = await pool.query(query, params);
 
-    if (currentRows.length > 0 && currentRows[0][metric_type] === value) {
-      return res.json({ alreadyUpToDate: true });
-    }
+// ---------- Hierarchy ----------
+// The tree for a Period is built once (parent -> children index, every
+// node aggregated bottom-up exactly once) and cached until a write to
+// hierarchy_metrics_agg_rm or the TTL expires. Only Periods that have rows
+// are cached, and at most HIERARCHY_CACHE_MAX_ENTRIES of them (oldest out).
+const HIERARCHY_CACHE_TTL_MS = Number(process.env.HIERARCHY_CACHE_TTL_MS || 10 * 60 * 1000);
+const HIERARCHY_CACHE_MAX_ENTRIES = Number(process.env.HIERARCHY_CACHE_MAX_ENTRIES || 24);
+const hierarchyCache = new Map();
+
+// How each metric rolls up to a manager lives in rollups.json:
+//   sum | avg (over direct reports) | weightedAvg (by leaf territories
+//   under each report) | min | max | median, with optional `decimals`.
+const HIERARCHY_ROLLUPS = require('./rollups.json');
+const ROLLUP_RULES = ['sum', 'avg', 'weightedAvg', 'min', 'max', 'median'];
+
+for (const [field, config] of Object.entries(HIERARCHY_ROLLUPS)) {
+  const rule = typeof config === 'string' ? config : config.rule;
+  if (!ROLLUP_RULES.includes(rule)) {
+    throw new Error(`rollups.json: unknown rule "${rule}" for ${field}`);
+  }
+}
 
-    // Update the value
-    let updateQuery = `UPDATE hierarchy_metrics_agg_rm SET ${metric_type} = ? WHERE Territory = ?`;
-    let updateParams = [value, territory];
+function invalidateHierarchyCache() {
+  hierarchyCache.clear();
+}
 
-    if (Month) {
-      updateQuery += ` AND Period = ?`;
-      updateParams.push(Month);
+// values / weights are parallel arrays over a manager's direct reports
+function rollup(rule, values, weights) {
+  if (!values.length) return 0;
+
+  switch (rule) {
+    case 'sum':
+      return values.reduce((a, b) => a + b, 0);
+    case 'avg':
+      return values.reduce((a, b) => a + b, 0) / values.length;
+    case 'weightedAvg': {
+      const totalWeight = weights.reduce((a, b) => a + b, 0);
+      if (!totalWeight) return 0;
+      return values.reduce((acc, v, i) => acc + v * weights[i], 0) / totalWeight;
     }
+    case 'min':
+      return Math.min(...values);
+    case 'max':
+      return Math.max(...values);
+    case 'median': {
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+    default:
+      throw new Error(`Unknown rollup rule: ${rule}`);
+  }
+}
 
-    const [result] = await pool.query(updateQuery, updateParams);
+const roundTo = (value, decimals = 0) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Vacant leaves are always counted (leafCount / vacantCount) but only shown
+// and aggregated when includeInactive is set. A vacant manager stays in the
+// tree as long as someone active still reports through it.
+// Area_Name loops are cut where they close (see /admin/integrity for the
+// list), and a territory whose Area_Name doesn't exist is kept as a root
+// flagged `orphan` rather than silently promoted.
+function buildHierarchyTree(rows, { includeInactive = false } = {}) {
+  const byTerritory = new Map();
+  const children = new Map();
+  const territories = new Set(rows.map((r) => String(r.Territory).trim()));
+
+  rows.forEach((r) => byTerritory.set(r.Territory, r));
+
+  for (const r of rows) {
+    const parent = r.Area_Name ? r.Area_Name.trim() : '';
+    if (!parent) continue;
+    if (!children.has(parent)) children.set(parent, new Set());
+    children.get(parent).add(r.Territory);
+  }
 
-    res.json({
-      success: true,
-      affectedRows: result.affectedRows,
-      alreadyUpToDate: false
-    });
+  const built = new Map();
+  const inProgress = new Set();
 
-  } catch (err) {
-    console.error("Error /updateProductQty:", err);
-    res.status(500).json({ error: "Server Error: " + err.message });
-  }
-});
+  function buildNode(terr) {
+    if (built.has(terr)) return built.get(terr);
+    if (inProgress.has(terr)) return null; // Area_Name cycle
 
+    const emp = byTerritory.get(terr);
+    if (!emp) return null;
 
-app.post('/midmonth-review', async (req, res) => {
-  try {
-    const { sender_territory, receiver_territory, Metric, Value, created_at } = req.body;
+    inProgress.add(terr);
 
-    // Validate required fields
-    if (!sender_territory || !receiver_territory || !Metric || Value === undefined) {
-      return res.status(400).json({
-        error: "All fields are required: sender_territory, receiver_territory, Metric, Value"
-      });
+    const vacant = emp.Emp_Code === 'Vacant';
+    const parent = emp.Area_Name ? emp.Area_Name.trim() : '';
+    const reports = [];
+    for (const childTerr of children.get(emp.Territory.trim()) || []) {
+      const child = buildNode(childTerr);
+      if (child) reports.push(child);
     }
 
-    // Generate IST timestamp
-    const istOffset = 5.5 * 60 * 60 * 1000; // IST is UTC + 5:30
-    const istTime = new Date(Date.now() + istOffset);
-    const timestamp = created_at || istTime.toISOString().slice(0, 19).replace('T', ' ');
+    const isLeaf = reports.length === 0;
+    const visibleReports = reports.filter((r) => r.visible);
+
+    const node = {
+      empName: emp.Emp_Name,
+      territory: emp.Territory,
+      role: emp.Role,
+      vacant,
+      orphan: parent !== '' && !territories.has(parent),
+      cycle: false,
+      leafCount: isLeaf ? 1 : reports.reduce((acc, r) => acc + r.node.leafCount, 0),
+      vacantCount: isLeaf ? (vacant ? 1 : 0) : reports.reduce((acc, r) => acc + r.node.vacantCount, 0),
+      childCount: visibleReports.length,
+      children: {},
+    };
+
+    for (const r of visibleReports) node.children[r.node.territory] = r.node;
+
+    for (const [field, config] of Object.entries(HIERARCHY_ROLLUPS)) {
+      const { rule, decimals } = typeof config === 'string' ? { rule: config } : config;
+
+      if (visibleReports.length > 0) {
+        const value = rollup(
+          rule,
+          visibleReports.map((r) => r.node[field] || 0),
+          visibleReports.map((r) => r.weight)
+        );
+        node[field] = roundTo(value, decimals);
+      } else {
+        node[field] = emp[field] ? parseFloat(emp[field]) : 0;
+      }
+    }
 
-    // Insert into Midmonth_review_logs table
-    const [result] = await pool.query(
-      `INSERT INTO Midmonth_review_logs 
-       (sender_territory, receiver_territory, Metric, Value, created_at) 
-       VALUES (?, ?, ?, ?, ?)`,
-      [sender_territory, receiver_territory, Metric, Value, timestamp]
-    );
+    const result = {
+      node,
+      visible: includeInactive || !vacant || visibleReports.length > 0,
+      // Leaves whose numbers actually fed this node, for weightedAvg upstream
+      weight: visibleReports.length ? visibleReports.reduce((acc, r) => acc + r.weight, 0) : 1,
+    };
 
-    // Return success response
-    res.status(201).json({
-      success: true,
-      message: "Record inserted successfully",
-      insertId: result.insertId,
-      timestamp: timestamp
-    });
+    inProgress.delete(terr);
+    built.set(terr, result);
+    return result;
+  }
 
-  } catch (err) {
-    console.error("Error /midmonth-review:", err);
-    res.status(500).json({
-      error: "Server Error",
-      details: err.message
-    });
+  for (const terr of byTerritory.keys()) buildNode(terr);
+
+  const nodes = new Map();
+  for (const [terr, result] of built) {
+    if (result.visible) nodes.set(terr, result.node);
   }
-});
 
+  const roots = new Set(
+    rows
+      .filter((r) => !r.Area_Name || !territories.has(r.Area_Name.trim()))
+      .map((r) => r.Territory)
+      .filter((terr) => nodes.has(terr))
+  );
+
+  // An Area_Name cycle has no parent outside itself, so it would never be
+  // reached from a root; flag its members and surface the one the walk
+  // entered it by (the member no other node lists as a child) as a root.
+  const cycleMembers = new Set(findHierarchyIssues(rows).cycles.flat());
+  const childTerritories = new Set();
+  for (const node of nodes.values()) {
+    Object.keys(node.children).forEach((child) => childTerritories.add(child));
+  }
+  for (const [terr, node] of nodes) {
+    if (!cycleMembers.has(String(terr).trim())) continue;
+    node.cycle = true;
+    if (!childTerritories.has(terr)) roots.add(terr);
+  }
 
+  return { nodes, roots: [...roots] };
+}
 
-app.get('/checkrole', async (req, res) => {
-  try {
-    const { territory } = req.query;
+async function getHierarchyTree({ Month, includeInactive }) {
+  const key = `${Month || '*'}|${includeInactive === true}`;
+  const cached = hierarchyCache.get(key);
+  if (cached && Date.now() - cached.builtAt < HIERARCHY_CACHE_TTL_MS) return cached.tree;
 
-    if (!territory) {
-      return res.status(400).json({ error: "Territory is required" });
-    }
+  // Vacant rows are always loaded so vacancies can be counted
+  let query = "SELECT * FROM hierarchy_metrics_agg_rm WHERE 1=1";
+  let params = [];
 
-    const [rows] = await pool.query(
-      `SELECT Role,Emp_Name FROM organogram WHERE Territory = ? LIMIT 1`,
-      [territory]
-    );
+  if (Month) {
+    query += " AND Period = ?";
+    params.push(Month);
+  }
 
-    if (rows.length === 0) {
-      return res.json({ allowed: false, message: "Territory not found" });
-    }
+  const [rows] = await pool.query(query, params);
+  if (rows.length === 0) return null;
 
-    const role = rows[0].Role?.toUpperCase(); // Handle case variations
-    const allowedRoles = ['BE', 'KAE', 'TE', 'NE'];
-    const isAllowed = allowedRoles.includes(role);
+  const tree = buildHierarchyTree(rows, { includeInactive: includeInactive === true });
 
-    res.json({
-      allowed: isAllowed,
-      role: rows[0].Role,
-      name: rows[0].Emp_Name // Return actual role for debugging
-    });
+  hierarchyCache.delete(key);
+  while (hierarchyCache.size >= HIERARCHY_CACHE_MAX_ENTRIES) {
+    hierarchyCache.delete(hierarchyCache.keys().next().value);
+  }
+  hierarchyCache.set(key, { builtAt: Date.now(), tree });
+  return tree;
+}
 
-  } catch (err) {
-    console.error("Error in /checkrole:", err);
-    res.status(500).json({ error: "Server error" });
+// Copy of `node` with at most `depth` levels of children (undefined = all).
+// Cached nodes are shared between requests, so never prune in place.
+function limitDepth(node, depth) {
+  if (depth === undefined) return node;
+
+  const children = {};
+  if (depth > 0) {
+    for (const [terr, child] of Object.entries(node.children)) {
+      children[terr] = limitDepth(child, depth - 1);
+    }
   }
-});
+  return { ...node, children };
+}
 
-app.get('/getdivision', async (req, res) => {
+// Body: { territory?, Month?, includeInactive?, depth?, childrenOnly? }
+// `childrenOnly` returns just the territory's direct reports (no
+// grandchildren) for lazy expansion in the tree view.
+app.post("/hierarchy", authorizeTerritory(territoryFromBody('territory')), async (req, res) => {
   try {
-    const { territory, role } = req.query;
-    if (!territory) {
-      return res.status(400).json({ error: "territory is required" });
+    const { includeInactive, Month, childrenOnly } = req.body || {};
+    // Without an explicit territory, non-admins get their own subtree
+    const territory =
+      (req.body && req.body.territory) || (req.user.isAdmin ? undefined : req.user.territory);
+
+    let depth;
+    if (req.body && req.body.depth !== undefined) {
+      depth = Number(req.body.depth);
+      if (!Number.isInteger(depth) || depth < 0) {
+        return res.status(400).json({ error: "depth must be a non-negative integer" });
+      }
     }
 
-    let query = "";
-    let params = [territory];
-
-    if (role === 'BH') {
-      query = `SELECT DISTINCT division FROM bgm_bh_dashboard_ftm WHERE BH_Territory = ?`;
-    } else if (role === 'SBUH') {
-      query = `SELECT DISTINCT division FROM bgm_sbuh_dashboard_ftm WHERE SBUH_Territory = ?`;
-    } else {
-      query = `SELECT Division FROM organogram WHERE Territory = ? LIMIT 1`;
+    if (Month && !PERIOD_PATTERN.test(String(Month))) {
+      return res.status(400).json({ error: "Month must be YYYY-MM" });
     }
 
-    const [rows] = await pool.query(query, params);
+    const tree = await getHierarchyTree({ Month, includeInactive });
+    if (!tree) return res.json({ message: "No data found" });
 
-    if (role === 'BH' || role === 'SBUH') {
-      const divisions = rows.map(r => r.division).filter(Boolean);
-      res.json({ divisions, division: divisions[0] || null });
+    const hierarchy = {};
+
+    if (childrenOnly) {
+      const node = territory && tree.nodes.get(territory);
+      if (node) {
+        for (const [terr, child] of Object.entries(node.children)) {
+          hierarchy[terr] = limitDepth(child, 0);
+        }
+      }
+    } else if (territory) {
+      const node = tree.nodes.get(territory);
+      if (node) hierarchy[territory] = limitDepth(node, depth);
     } else {
-      // For other roles, return a single division as before for backward compatibility
-      const division = rows.length > 0 ? (rows[0].Division || rows[0].division) : null;
-      res.json({ division });
+      for (const top of tree.roots) {
+        const node = tree.nodes.get(top);
+        if (node) hierarchy[top] = limitDepth(node, depth);
+      }
     }
 
+    res.json(hierarchy);
   } catch (err) {
-    console.error("Error /getdivision:", err);
-    res.status(500).send("Server Error");
+    console.error("❌ Error:", err);
+    res.status(500).send("Server error: " + err.message);
   }
 });
 
-app.get('/emp-name/:territory', async (req, res) => {
-  const territory = req.params.territory;
-
-  try {
-    const [rows] = await pool.query(
-      "SELECT Emp_Name FROM organogram WHERE Territory = ? LIMIT 1",
-      [territory]
-    );
+// For when hierarchy_metrics_agg_rm is reloaded outside this service
+app.post('/admin/hierarchy/cache/clear', requireAdmin, (req, res) => {
+  invalidateHierarchyCache();
+  res.json({ success: true });
+});
 
-    if (rows.length === 0) {
-      return res.status(404).json({ message: "No employee found for given Territory" });
-    }
+// Area_Name loops and dangling parents in a set of Territory / Area_Name rows.
+// Each territory has one parent, so following parent links from every
+// territory finds every cycle exactly once.
+function findHierarchyIssues(rows) {
+  const parentOf = new Map();
+  for (const r of rows) {
+    const terr = String(r.Territory || '').trim();
+    if (terr) parentOf.set(terr, r.Area_Name ? String(r.Area_Name).trim() : '');
+  }
 
-    res.json({ Emp_Name: rows[0].Emp_Name });
+  const orphans = [];
+  for (const [terr, parent] of parentOf) {
+    if (parent && !parentOf.has(parent)) orphans.push({ Territory: terr, Area_Name: parent });
+  }
 
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Server error" });
+  const cycles = [];
+  const state = new Map(); // 1 = on current walk, 2 = finished
+  for (const start of parentOf.keys()) {
+    const path = [];
+    let terr = start;
+    while (terr && parentOf.has(terr) && !state.has(terr)) {
+      state.set(terr, 1);
+      path.push(terr);
+      terr = parentOf.get(terr);
+    }
+    if (terr && state.get(terr) === 1) {
+      cycles.push(path.slice(path.indexOf(terr)));
+    }
+    path.forEach((t) => state.set(t, 2));
   }
-});
-// ---------- Commitments insert ----------
 
-app.post('/putData', async (req, res) => {
-  try {
-    const dataToInsert = req.body;
-    const dataArray = Array.isArray(dataToInsert) ? dataToInsert : [dataToInsert];
+  return { cycles, orphans };
+}
 
-    if (dataArray.length === 0) {
-      return res.status(400).send('No data received');
+// Data integrity report for one Period (defaults to the latest loaded)
+app.get('/admin/integrity', requireAdmin, async (req, res) => {
+  try {
+    let Period = req.query.Month;
+    if (!Period) {
+      const [[latest]] = await pool.query(
+        `SELECT MAX(Period) AS Period FROM hierarchy_metrics_agg_rm`
+      );
+      Period = latest && latest.Period;
     }
 
-    const values = dataArray.map(row => [
-      row.metric,
-      row.sender,
-      row.sender_code,
-      row.sender_territory,
-      row.receiver,
-      row.receiver_code,
-      row.receiver_territory,
-      row.goal,
-      row.received_date,
-      row.goal_date,
-      row.receiver_commit_date || null,
-      row.commitment
-    ]);
+    const [hierarchyRows] = await pool.query(
+      `SELECT Territory, Area_Name FROM hierarchy_metrics_agg_rm WHERE Period = ?`,
+      [Period]
+    );
+    const [organogramRows] = await pool.query(
+      `SELECT Territory, Area_Name, Emp_Code, Emp_Name, Role FROM organogram`
+    );
 
-    const query = `
-      INSERT INTO commitments (
-        metric,
-        sender,
-        sender_code,
-        sender_territory,
-        receiver,
-        receiver_code,
-        receiver_territory,
-        goal,
-        received_date,
-        goal_date,
-        receiver_commit_date,
-        commitment
-      ) VALUES ?
-    `;
+    // Duplicate Territory + Period rows, per table
+    const duplicates = {};
+    const [hierarchyDupes] = await pool.query(
+      `SELECT Territory, Period, COUNT(*) AS row_count
+       FROM hierarchy_metrics_agg_rm
+       WHERE Period = ?
+       GROUP BY Territory, Period
+       HAVING COUNT(*) > 1`,
+      [Period]
+    );
+    duplicates.hierarchy_metrics_agg_rm = hierarchyDupes;
+
+    // Organogram territories with no row in their role's dashboard tables
+    const missingFromDashboards = {};
+
+    for (const [role, config] of Object.entries(DASHBOARD_ROLES)) {
+      // BH / SBUH legitimately have one row per division
+      const groupBy = config.division
+        ? `${config.territoryColumn}, Period, division`
+        : `${config.territoryColumn}, Period`;
+
+      const expected = organogramRows.filter(r => dashboardRoleFor(r.Role) === role);
+
+      for (const table of Object.values(config.tables)) {
+        const [dupes] = await pool.query(
+          `SELECT ${groupBy}, COUNT(*) AS row_count
+           FROM ${table}
+           WHERE Period = ?
+           GROUP BY ${groupBy}
+           HAVING COUNT(*) > 1`,
+          [Period]
+        );
+        duplicates[table] = dupes;
 
-    await pool.query(query, [values]);
-    return res.status(201).send('success');
+        const [present] = await pool.query(
+          `SELECT DISTINCT ${config.territoryColumn} AS Territory FROM ${table} WHERE Period = ?`,
+          [Period]
+        );
+        const loaded = new Set(present.map(r => String(r.Territory).trim()));
+
+        missingFromDashboards[table] = expected
+          .filter(r => !loaded.has(String(r.Territory).trim()))
+          .map(r => ({ Territory: r.Territory, Emp_Code: r.Emp_Code, Emp_Name: r.Emp_Name, Role: r.Role }));
+      }
+    }
+
+    res.json({
+      Period,
+      hierarchy: findHierarchyIssues(hierarchyRows),
+      organogram: findHierarchyIssues(organogramRows),
+      duplicates,
+      missingFromDashboards,
+    });
   } catch (err) {
-    console.error('Error /putData:', err);
-    return res.status(500).send('Internal Server Error');
+    console.error("Error /admin/integrity:", err);
+    res.status(500).json({ error: "Internal Server Error" });
   }
 });
-app.post('/dashboardData', async (req, res) => {
-  try {
-    const { Territory, Month } = req.body; // 👈 Get Territory from frontend
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
-    }
 
-    let query = `SELECT * FROM bgm_be_dashboard_ftm WHERE Territory = ?`;
-    let params = [Territory];
 
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
-    }
 
-    const [rows] = await pool.query(query, params);
 
-    if (rows.length === 0) {
-      return res.status(404).json({ message: "No record found for this Territory" });
-    }
 
-    res.json(rows[0]); // 👈 Return only the first (and likely only) matching row
-  } catch (error) {
-    console.error("Error fetching data:", error);
-    res.status(500).json({ error: "Internal Server Error" });
+
+
+// ---------- Employees ----------
+app.get('/employees', async (req, res) => {
+  try {
+    const [rows] = await pool.query(`
+      SELECT Emp_Name AS name, Role, Emp_Code, Territory 
+      FROM organogram
+      ORDER BY Emp_Name
+    `);
+    res.json(rows);
+  } catch (err) {
+    console.error('Error /employees:', err);
+    res.status(500).send("Error");
   }
 });
 
-app.post('/bmDashboardData', async (req, res) => {
-  try {
-    const { Territory, Month } = req.body; // 👈 Get Territory from frontend
+// ---------- Period close / data lock ----------
+// period_locks is an append-only log of close / reopen events. The latest
+// event for (Period, division) decides; division '' covers every division
+// that has no event of its own. Reopening needs an override role and a
+// reason: PERIOD_OVERRIDE_EMP_CODES, or admins when that isn't set.
+const PERIOD_OVERRIDE_EMP_CODES = (process.env.PERIOD_OVERRIDE_EMP_CODES || '')
+  .split(',')
+  .map(code => code.trim())
+  .filter(Boolean);
+
+const canOverridePeriodLock = (user) =>
+  PERIOD_OVERRIDE_EMP_CODES.length
+    ? PERIOD_OVERRIDE_EMP_CODES.includes(user.empCode)
+    : user.isAdmin;
+
+// YYYY-MM of a DATE / 'YYYY-MM-DD' / Period value
+const periodOf = (value) => (value ? normalizePeriod(value) : null);
+
+async function divisionOf(territory) {
+  const index = await getOrganogramIndex();
+  const emp = index.byTerritory.get(String(territory || '').trim());
+  return (emp && emp.Division) || null;
+}
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
-    }
+// The lock event in force for this Period / division, or null if open
+async function findPeriodLock(period, division) {
+  if (!period) return null;
+
+  const [rows] = await pool.query(
+    `SELECT Period, division, locked, reason, actor_code, actor_name, created_at
+     FROM period_locks
+     WHERE Period = ? AND division IN ('', ?)
+     ORDER BY id DESC`,
+    [period, division || '']
+  );
+
+  const specific = division ? rows.find(r => r.division === division) : null;
+  const state = specific || rows.find(r => r.division === '');
+  return state && state.locked ? state : null;
+}
+
+function sendPeriodLocked(res, lock) {
+  return res.status(423).json({
+    error: "Period locked",
+    message: `${lock.Period}${lock.division ? ` (${lock.division})` : ''} has been closed; no further changes are allowed`,
+    Period: lock.Period,
+    Division: lock.division || null,
+    lockedBy: lock.actor_name,
+    lockedAt: lock.created_at,
+    reason: lock.reason,
+  });
+}
 
-    let query = `SELECT * FROM bgm_bm_dashboard_ftm WHERE BM_Territory = ?`;
-    let params = [Territory];
+async function recordPeriodLockEvent(req, { Period, Division, locked, reason }) {
+  await pool.query(
+    `INSERT INTO period_locks (Period, division, locked, reason, actor_code, actor_name)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [Period, Division || '', locked ? 1 : 0, reason || null, req.user.empCode, req.user.empName]
+  );
+}
 
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
+app.get('/periods/locks', async (req, res) => {
+  try {
+    let query = `
+      SELECT id, Period, division, locked, reason, actor_code, actor_name, created_at
+      FROM period_locks
+    `;
+    let params = [];
+
+    if (req.query.Period) {
+      query += ` WHERE Period = ?`;
+      params.push(req.query.Period);
     }
 
-    const [rows] = await pool.query(query, params);
+    query += ` ORDER BY id DESC`;
 
-    if (rows.length === 0) {
-      return res.status(404).json({ message: "No record found for this Territory" });
+    const [events] = await pool.query(query, params);
+
+    // Latest event per Period + division is the current state
+    const current = {};
+    for (const e of events) {
+      const key = `${e.Period}|${e.division}`;
+      if (!current[key]) current[key] = e;
     }
 
-    res.json(rows[0]); // 👈 Return only the first (and likely only) matching row
-  } catch (error) {
-    console.error("Error fetching data:", error);
+    res.json({
+      locks: Object.values(current).filter(e => e.locked),
+      history: events,
+    });
+  } catch (err) {
+    console.error("Error /periods/locks:", err);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
-app.post('/blDashboardData', async (req, res) => {
-  try {
-    const { Territory, Month } = req.body; // 👈 Get Territory from frontend
-
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
-    }
 
-    let query = `SELECT * FROM bgm_bl_dashboard_ftm WHERE BL_Territory = ?`;
-    let params = [Territory];
+app.post('/admin/periods/close', requireAdmin, async (req, res) => {
+  try {
+    const { Period, Division, reason } = req.body || {};
 
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
+    if (!Period || !PERIOD_PATTERN.test(Period)) {
+      return res.status(400).json({ error: "Period is required, e.g. 2026-03" });
     }
 
-    const [rows] = await pool.query(query, params);
-
-    if (rows.length === 0) {
-      return res.status(404).json({ message: "No record found for this Territory" });
+    if (await findPeriodLock(Period, Division)) {
+      return res.json({ success: true, alreadyLocked: true });
     }
 
-    res.json(rows[0]); // 👈 Return only the first (and likely only) matching row
-  } catch (error) {
-    console.error("Error fetching data:", error);
+    await recordPeriodLockEvent(req, { Period, Division, locked: true, reason });
+    res.status(201).json({ success: true, Period, Division: Division || null });
+  } catch (err) {
+    console.error("Error /admin/periods/close:", err);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
-app.post('/bhDashboardData', async (req, res) => {
+app.post('/admin/periods/reopen', async (req, res) => {
   try {
-    const { Territory, Division, Month } = req.body;
-
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
-    }
-
-    let query = `SELECT * FROM bgm_bh_dashboard_ftm WHERE BH_Territory = ?`;
-    let params = [Territory];
+    const { Period, Division, reason } = req.body || {};
 
-    // Add division filter if provided
-    if (Division) {
-      query += ` AND division = ?`;
-      params.push(Division);
+    if (!canOverridePeriodLock(req.user)) {
+      return res.status(403).json({ error: "Only a period override role can reopen a closed Period" });
     }
 
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
+    if (!Period || !PERIOD_PATTERN.test(Period)) {
+      return res.status(400).json({ error: "Period is required, e.g. 2026-03" });
     }
 
-    const [rows] = await pool.query(query, params);
-
-    if (rows.length === 0) {
-      return res.status(404).json({
-        message: Division
-          ? `No FTM record found for Territory: ${Territory}, Division: ${Division}`
-          : `No FTM record found for Territory: ${Territory}`
-      });
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: "A reason is required to reopen a Period" });
     }
 
-    res.json(rows[0]);
-  } catch (error) {
-    console.error("Error fetching BH FTM data:", error);
+    await recordPeriodLockEvent(req, { Period, Division, locked: false, reason: String(reason).trim() });
+    res.status(201).json({ success: true, Period, Division: Division || null });
+  } catch (err) {
+    console.error("Error /admin/periods/reopen:", err);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
-// 4. SBUH Dashboard FTM Data (with Division filter)
-app.post('/sbuhDashboardData', async (req, res) => {
-  try {
-    const { Territory, Division, Month } = req.body;
+// ---------- Product qty / commitment edits ----------
+// Every change is written to product_qty_audit. Reads hand out an ETag over
+// the current values, and edits must send it back (If-Match header or `etag`
+// in the body): without one they get 428, with a stale one 412, instead of
+// clobbering someone else's change.
+const PRODUCT_QTY_METRICS = [
+  'deksel_midmonth_qty',
+  'voltaneuron_midmonth_qty',
+  'proaxen_midmonth_qty',
+
+  // 🔥 newly added commitment metrics
+  'deksel_commitment',
+  'proaxen_commitment',
+  'voltaneuron_vasoneuron_commitment'
+];
+
+function productQtyEtag(rows) {
+  const snapshot = rows.map(r => [normalizePeriod(r.Period), r.value === null ? null : Number(r.value)]);
+  return `"${crypto.createHash('sha1').update(JSON.stringify(snapshot)).digest('hex').slice(0, 16)}"`;
+}
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
-    }
+async function selectProductQty(db, { territory, metric, Month, forUpdate = false }) {
+  let query = `SELECT Period, ${metric} AS value FROM hierarchy_metrics_agg_rm WHERE Territory = ?`;
+  let params = [territory];
 
-    let query = `SELECT * FROM bgm_sbuh_dashboard_ftm WHERE SBUH_Territory = ?`;
-    let params = [Territory];
+  if (Month) {
+    query += ` AND Period = ?`;
+    params.push(Month);
+  }
 
-    // Add division filter if provided
-    if (Division) {
-      query += ` AND division = ?`;
-      params.push(Division);
-    }
+  query += ` ORDER BY Period`;
+  if (forUpdate) query += ` FOR UPDATE`;
 
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
+  const [rows] = await db.query(query, params);
+  return rows;
+}
+
+// Current value(s) plus the ETag to send back with the edit
+app.get('/productQty/:territory/:metric', authorizeTerritory(territoryFromParams()), async (req, res) => {
+  try {
+    const metric = req.params.metric.toLowerCase();
+    if (!PRODUCT_QTY_METRICS.includes(metric)) {
+      return res.status(400).json({ error: "Invalid metric_type" });
     }
 
-    const [rows] = await pool.query(query, params);
+    const rows = await selectProductQty(pool, {
+      territory: req.params.territory,
+      metric,
+      Month: req.query.Month,
+    });
 
     if (rows.length === 0) {
-      return res.status(404).json({
-        message: Division
-          ? `No SBUH FTM record found for Territory: ${Territory}, Division: ${Division}`
-          : `No SBUH FTM record found for Territory: ${Territory}`
-      });
+      return res.status(404).json({ error: "No record found for this Territory" });
     }
 
-    res.json(rows[0]);
-  } catch (error) {
-    console.error("Error fetching SBUH FTM data:", error);
+    const etag = productQtyEtag(rows);
+    res.set('ETag', etag).json({
+      territory: req.params.territory,
+      metric,
+      values: rows.map(r => ({ Period: normalizePeriod(r.Period), value: r.value })),
+      etag,
+    });
+  } catch (err) {
+    console.error("Error /productQty:", err);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
-app.post('/dashboardytdData', async (req, res) => {
+app.get('/productQty/:territory/:metric/history', authorizeTerritory(territoryFromParams()), async (req, res) => {
   try {
-    const { Territory, Month } = req.body; // 👈 Get Territory from frontend
-
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
+    const metric = req.params.metric.toLowerCase();
+    if (!PRODUCT_QTY_METRICS.includes(metric)) {
+      return res.status(400).json({ error: "Invalid metric_type" });
     }
 
-    let query = `SELECT * FROM bgm_be_dashboard_ytd WHERE Territory = ?`;
-    let params = [Territory];
+    let query = `
+      SELECT id, Territory, Period, metric, old_value, new_value,
+             actor_code, actor_name, actor_territory, changed_at
+      FROM product_qty_audit
+      WHERE Territory = ? AND metric = ?
+    `;
+    let params = [req.params.territory, metric];
 
-    if (Month) {
+    if (req.query.Month) {
       query += ` AND Period = ?`;
-      params.push(Month);
+      params.push(req.query.Month);
     }
 
-    const [rows] = await pool.query(query, params);
-
-    if (rows.length === 0) {
-      return res.status(404).json({ message: "No record found for this Territory" });
-    }
+    query += ` ORDER BY changed_at DESC, id DESC`;
 
-    res.json(rows[0]); // 👈 Return only the first (and likely only) matching row
-  } catch (error) {
-    console.error("Error fetching data:", error);
+    const [rows] = await pool.query(query, params);
+    res.json(rows);
+  } catch (err) {
+    console.error("Error /productQty history:", err);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
-app.post('/bmDashboardytdData', async (req, res) => {
+app.put('/updateProductQty', authorizeTerritory(territoryFromBody('territory')), async (req, res) => {
+  let conn;
   try {
-    const { Territory, Month } = req.body; // 👈 Get Territory from frontend
+    const { metric_type, value, Month } = req.body;
+    const territory = req.body.territory || req.user.territory;
+    const expectedEtag = req.get('If-Match') || req.body.etag;
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
+    if (!metric_type || value === undefined) {
+      return res.status(400).json({
+        error: "metric_type and value are required"
+      });
     }
 
-    let query = `SELECT * FROM bgm_bm_dashboard_ytd WHERE BM_Territory = ?`;
-    let params = [Territory];
+    const metric = metric_type.toLowerCase();
+    if (!PRODUCT_QTY_METRICS.includes(metric)) {
+      return res.status(400).json({
+        error: "Invalid metric_type"
+      });
+    }
 
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
+    if (!expectedEtag) {
+      return res.status(428).json({
+        error: "Send the ETag from /productQty as If-Match (or etag) to edit this value"
+      });
     }
 
-    const [rows] = await pool.query(query, params);
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
 
-    if (rows.length === 0) {
-      return res.status(404).json({ message: "No record found for this Territory" });
+    // Lock the rows so a concurrent edit waits and then sees our value
+    const currentRows = await selectProductQty(conn, { territory, metric, Month, forUpdate: true });
+
+    if (currentRows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: "No record found for this Territory" });
     }
 
-    res.json(rows[0]); // 👈 Return only the first (and likely only) matching row
-  } catch (error) {
-    console.error("Error fetching data:", error);
-    res.status(500).json({ error: "Internal Server Error" });
-  }
-});
-app.post('/blDashboardytdData', async (req, res) => {
-  try {
-    const { Territory, Month } = req.body; // 👈 Get Territory from frontend
+    const division = await divisionOf(territory);
+    for (const period of new Set(currentRows.map(r => periodOf(r.Period)))) {
+      const lock = await findPeriodLock(period, division);
+      if (lock) {
+        await conn.rollback();
+        return sendPeriodLocked(res, lock);
+      }
+    }
+
+    const currentEtag = productQtyEtag(currentRows);
+    if (expectedEtag !== currentEtag) {
+      await conn.rollback();
+      return res.status(412).json({
+        error: "This value was changed by someone else; reload and try again",
+        values: currentRows.map(r => ({ Period: normalizePeriod(r.Period), value: r.value })),
+        etag: currentEtag,
+      });
+    }
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
+    const changed = currentRows.filter(r => r.value === null || Number(r.value) !== Number(value));
+    if (changed.length === 0) {
+      await conn.rollback();
+      return res.json({ alreadyUpToDate: true, etag: currentEtag });
     }
 
-    let query = `SELECT * FROM bgm_bl_dashboard_ytd WHERE BL_Territory = ?`;
-    let params = [Territory];
+    // Update the value
+    let updateQuery = `UPDATE hierarchy_metrics_agg_rm SET ${metric} = ? WHERE Territory = ?`;
+    let updateParams = [value, territory];
 
     if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
+      updateQuery += ` AND Period = ?`;
+      updateParams.push(Month);
     }
 
-    const [rows] = await pool.query(query, params);
+    const [result] = await conn.query(updateQuery, updateParams);
 
-    if (rows.length === 0) {
-      return res.status(404).json({ message: "No record found for this Territory" });
-    }
+    await conn.query(
+      `INSERT INTO product_qty_audit
+       (Territory, Period, metric, old_value, new_value, actor_code, actor_name, actor_territory)
+       VALUES ?`,
+      [changed.map(r => [
+        territory,
+        normalizePeriod(r.Period),
+        metric,
+        r.value,
+        value,
+        req.user.empCode,
+        req.user.empName,
+        req.user.territory,
+      ])]
+    );
 
-    res.json(rows[0]); // 👈 Return only the first (and likely only) matching row
-  } catch (error) {
-    console.error("Error fetching data:", error);
-    res.status(500).json({ error: "Internal Server Error" });
+    await conn.commit();
+    invalidateHierarchyCache();
+
+    res.json({
+      success: true,
+      affectedRows: result.affectedRows,
+      alreadyUpToDate: false,
+      etag: productQtyEtag(currentRows.map(r => ({ Period: r.Period, value })))
+    });
+
+  } catch (err) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error("Error /updateProductQty:", err);
+    res.status(500).json({ error: "Server Error: " + err.message });
+  } finally {
+    if (conn) conn.release();
   }
 });
-app.post('/bhDashboardytdData', async (req, res) => {
-  try {
-    const { Territory, Division, Month } = req.body;
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
-    }
 
-    let query = `SELECT * FROM bgm_bh_dashboard_ytd WHERE BH_Territory = ?`;
-    let params = [Territory];
+app.post('/midmonth-review', authorizeTerritory(territoryFromBody('receiver_territory')), async (req, res) => {
+  try {
+    const { receiver_territory, Metric, Value, created_at } = req.body;
+    const sender_territory = req.user.territory;
 
-    // Add division filter if provided
-    if (Division) {
-      query += ` AND division = ?`;
-      params.push(Division);
+    // Validate required fields
+    if (!receiver_territory || !Metric || Value === undefined) {
+      return res.status(400).json({
+        error: "All fields are required: receiver_territory, Metric, Value"
+      });
     }
 
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
-    }
+    // Generate IST timestamp
+    const istOffset = 5.5 * 60 * 60 * 1000; // IST is UTC + 5:30
+    const istTime = new Date(Date.now() + istOffset);
+    const timestamp = created_at || istTime.toISOString().slice(0, 19).replace('T', ' ');
 
-    const [rows] = await pool.query(query, params);
+    // Insert into Midmonth_review_logs table
+    const [result] = await pool.query(
+      `INSERT INTO Midmonth_review_logs 
+       (sender_territory, receiver_territory, Metric, Value, created_at) 
+       VALUES (?, ?, ?, ?, ?)`,
+      [sender_territory, receiver_territory, Metric, Value, timestamp]
+    );
 
-    if (rows.length === 0) {
-      return res.status(404).json({
-        message: Division
-          ? `No YTD record found for Territory: ${Territory}, Division: ${Division}`
-          : `No YTD record found for Territory: ${Territory}`
-      });
-    }
+    // Return success response
+    res.status(201).json({
+      success: true,
+      message: "Record inserted successfully",
+      insertId: result.insertId,
+      timestamp: timestamp
+    });
 
-    res.json(rows[0]);
-  } catch (error) {
-    console.error("Error fetching BH YTD data:", error);
-    res.status(500).json({ error: "Internal Server Error" });
+  } catch (err) {
+    console.error("Error /midmonth-review:", err);
+    res.status(500).json({
+      error: "Server Error",
+      details: err.message
+    });
   }
 });
 
-// 2. SBUH Dashboard YTD Data (with Division filter)
-app.post('/sbuhDashboardytdData', async (req, res) => {
+// ---------- Mid-month review logs + reconciliation ----------
+// [first day of the Period, first day of the next), so created_at can use
+// its index and DATETIME values compare as dates rather than strings
+const createdAtRange = (period) => [`${period}-01`, `${shiftPeriod(period, 1)}-01`];
+
+// GET /midmonth-review?sender=...&receiver=...&Metric=...&Period=YYYY-MM
+// Non-admins only see entries sent to or from their downline.
+app.get('/midmonth-review', async (req, res) => {
   try {
-    const { Territory, Division, Month } = req.body;
+    const { sender, receiver, Metric, Period } = req.query;
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
+    for (const territory of [sender, receiver].filter(Boolean)) {
+      if (!(await canAccessTerritory(req.user, territory))) {
+        return res.status(403).json({ error: "You do not have access to this territory" });
+      }
     }
 
-    let query = `SELECT * FROM bgm_sbuh_dashboard_ytd WHERE SBUH_Territory = ?`;
-    let params = [Territory];
+    let query = `SELECT * FROM Midmonth_review_logs WHERE 1=1`;
+    let params = [];
 
-    // Add division filter if provided
-    if (Division) {
-      query += ` AND division = ?`;
-      params.push(Division);
+    if (sender) {
+      query += ` AND sender_territory = ?`;
+      params.push(sender);
     }
-
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
+    if (receiver) {
+      query += ` AND receiver_territory = ?`;
+      params.push(receiver);
     }
-
-    const [rows] = await pool.query(query, params);
-
-    if (rows.length === 0) {
-      return res.status(404).json({
-        message: Division
-          ? `No SBUH YTD record found for Territory: ${Territory}, Division: ${Division}`
-          : `No SBUH YTD record found for Territory: ${Territory}`
-      });
+    if (!sender && !receiver && !req.user.isAdmin) {
+      const downline = [...await getDownline(req.user.territory)];
+      query += ` AND (sender_territory IN (?) OR receiver_territory IN (?))`;
+      params.push(downline, downline);
+    }
+    if (Metric) {
+      query += ` AND Metric = ?`;
+      params.push(Metric);
+    }
+    if (Period) {
+      if (!PERIOD_PATTERN.test(Period)) {
+        return res.status(400).json({ error: "Period must be YYYY-MM" });
+      }
+      query += ` AND created_at >= ? AND created_at < ?`;
+      params.push(...createdAtRange(Period));
     }
 
-    res.json(rows[0]);
-  } catch (error) {
-    console.error("Error fetching SBUH YTD data:", error);
+    query += ` ORDER BY created_at DESC`;
+
+    const [rows] = await pool.query(query, params);
+    res.json(rows);
+  } catch (err) {
+    console.error("Error GET /midmonth-review:", err);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
-app.post('/dashboardYTD', async (req, res) => {
-  try {
-    const { Territory, Month } = req.body;
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
+// Which log Metric names, hierarchy_metrics_agg_rm columns and dashboard
+// FTM column make up each product lives in reconciliation.json. A column
+// that isn't there for a territory comes back as null, not 0.
+const RECONCILIATION_PRODUCTS = require('./reconciliation.json');
+
+// Month-end actual column per product in a role's FTM dashboard table:
+// `actual` from reconciliation.json when it's set, otherwise the one numeric
+// column named after the product that isn't a score, commitment or mid-month
+// figure. Null when the table has none (or several), so nothing is compared
+// against the wrong column.
+async function resolveActualColumns(role) {
+  const columns = await getTableColumns(DASHBOARD_ROLES[role].tables.ftm);
+  const names = new Set(columns.map(c => c.name));
+
+  const resolved = {};
+  for (const [product, config] of Object.entries(RECONCILIATION_PRODUCTS)) {
+    if (config.actual) {
+      resolved[product] = names.has(config.actual) ? config.actual : null;
+      continue;
     }
+    const candidates = columns.filter(c =>
+      c.type === 'number' &&
+      c.name.toLowerCase().includes(product.toLowerCase()) &&
+      !/score|commitment|midmonth/i.test(c.name)
+    );
+    resolved[product] = candidates.length === 1 ? candidates[0].name : null;
+  }
+  return resolved;
+}
 
-    let query = `SELECT 
-         Calls_Score,
-         RCPA_Score,
-         Coverage_Score,
-         Compliance_Score,
-         Activity_Implementation_Score,
-         Secondary_Sales_growth_Score,
-         MSR_Achievement_Score,
-         RX_Growth_Score,
-         Brand_Performance_Index_Score
-       FROM bgm_be_dashboard_ytd
-       WHERE Territory = ?`;
-    let params = [Territory];
+const pickColumn = (row, column) => (row && column ? toNumber(row[column]) : null);
+const gap = (actual, planned) => (actual === null || planned === null ? null : round2(actual - planned));
 
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
-    }
+// Dashboard rows for many territories, one query per dashboard role involved
+async function fetchDashboardRowsByTerritory(territories, scope, period) {
+  const index = await getOrganogramIndex();
+  const byRole = {};
 
-    const [rows] = await pool.query(query, params);
+  for (const terr of territories) {
+    const role = dashboardRoleFor(index.byTerritory.get(terr)?.Role);
+    if (role) (byRole[role] = byRole[role] || []).push(terr);
+  }
 
-    if (rows.length === 0) {
-      return res.status(404).json({ message: "No record found for this Territory" });
+  const found = new Map();
+  for (const [role, terrs] of Object.entries(byRole)) {
+    const config = DASHBOARD_ROLES[role];
+    const [rows] = await pool.query(
+      `SELECT * FROM ${config.tables[scope]} WHERE ${config.territoryColumn} IN (?) AND Period = ?`,
+      [terrs, period]
+    );
+    for (const row of rows) found.set(String(row[config.territoryColumn]).trim(), row);
+  }
+
+  return found;
+}
+
+// GET /midmonth-review/reconciliation/:territory?Period=YYYY-MM
+// One entry per territory in the subtree (just the territory for a BE).
+app.get('/midmonth-review/reconciliation/:territory', authorizeTerritory(territoryFromParams()), async (req, res) => {
+  try {
+    const period = req.query.Period || currentPeriod();
+    if (!PERIOD_PATTERN.test(period)) {
+      return res.status(400).json({ error: "Period must be YYYY-MM" });
     }
 
-    const row = rows[0];
+    const index = await getOrganogramIndex();
+    const territories = [...await getDownline(req.params.territory)];
 
-    // First set
-    const totalScore1 = (
-      (Number(row.Calls_Score) || 0) +
-      (Number(row.RCPA_Score) || 0) +
-      (Number(row.Coverage_Score) || 0) +
-      (Number(row.Compliance_Score) || 0) +
-      (Number(row.Activity_Implementation_Score) || 0)).toFixed(2);
+    const [logs] = await pool.query(
+      `SELECT receiver_territory, Metric, Value, created_at
+       FROM Midmonth_review_logs
+       WHERE receiver_territory IN (?) AND created_at >= ? AND created_at < ?
+       ORDER BY created_at`,
+      [territories, ...createdAtRange(period)]
+    );
 
-    const totalScore2 = (
-      (Number(row.Secondary_Sales_growth_Score) || 0) +
-      (Number(row.MSR_Achievement_Score) || 0) +
-      (Number(row.RX_Growth_Score) || 0) +
-      (Number(row.Brand_Performance_Index_Score) || 0)).toFixed(2);
+    const [planRows] = await pool.query(
+      `SELECT * FROM hierarchy_metrics_agg_rm WHERE Territory IN (?) AND Period = ?`,
+      [territories, period]
+    );
 
+    const actuals = await fetchDashboardRowsByTerritory(territories, 'ftm', period);
+    const plans = new Map(planRows.map(r => [String(r.Territory).trim(), r]));
 
-    res.json({
-      totalScore1: Number(parseFloat(totalScore1).toFixed(2)),
-      totalScore2: Number(parseFloat(totalScore2).toFixed(2))
+    // Latest logged value per territory + product wins
+    const logged = new Map();
+    for (const log of logs) {
+      const metric = String(log.Metric || '').toLowerCase();
+      for (const [product, config] of Object.entries(RECONCILIATION_PRODUCTS)) {
+        if ((config.logMetrics || [product]).some(m => m.toLowerCase() === metric)) {
+          logged.set(`${String(log.receiver_territory).trim()}|${product}`, log);
+        }
+      }
+    }
+
+    const actualColumns = {};
+    for (const terr of territories) {
+      const role = dashboardRoleFor(index.byTerritory.get(terr)?.Role);
+      if (role && !actualColumns[role]) actualColumns[role] = await resolveActualColumns(role);
+    }
+
+    const report = territories.map(terr => {
+      const emp = index.byTerritory.get(terr);
+      const plan = plans.get(terr);
+      const actualRow = actuals.get(terr);
+      const actualColumnOf = actualColumns[dashboardRoleFor(emp?.Role)] || {};
+
+      const products = Object.entries(RECONCILIATION_PRODUCTS).map(([product, config]) => {
+        const log = logged.get(`${terr}|${product}`);
+        const loggedValue = log ? toNumber(log.Value) : null;
+        const commitment = pickColumn(plan, config.commitment);
+        const midmonth = pickColumn(plan, config.midmonth);
+        const actual = pickColumn(actualRow, actualColumnOf[product]);
+
+        return {
+          product,
+          logged: loggedValue,
+          loggedAt: log ? log.created_at : null,
+          commitment,
+          midmonth,
+          actual,
+          actualColumn: actualColumnOf[product] || null,
+          actualVsLogged: gap(actual, loggedValue),
+          actualVsCommitment: gap(actual, commitment),
+          actualVsMidmonth: gap(actual, midmonth),
+        };
+      });
+
+      return {
+        territory: terr,
+        empName: emp ? emp.Emp_Name : null,
+        role: emp ? emp.Role : null,
+        products,
+      };
     });
 
-  } catch (error) {
-    console.error("Error fetching YTD data:", error);
+    res.json({
+      territory: req.params.territory,
+      Period: period,
+      actualColumns,
+      territories: report,
+    });
+  } catch (err) {
+    console.error("Error /midmonth-review/reconciliation:", err);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
 
-app.post('/dashboardFTD', async (req, res) => {
+
+app.get('/checkrole', authorizeTerritory(territoryFromQuery('territory')), async (req, res) => {
   try {
-    const { Territory, Month } = req.body;
+    const territory = req.query.territory || req.user.territory;
+
+    const [rows] = await pool.query(
+      `SELECT Role,Emp_Name FROM organogram WHERE Territory = ? LIMIT 1`,
+      [territory]
+    );
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
+    if (rows.length === 0) {
+      return res.json({ allowed: false, message: "Territory not found" });
     }
 
-    let query = `SELECT 
-         Calls_Score,
-         RCPA_Score,
-         Coverage_Score,
-         Compliance_Score,
-         Activity_Implementation_Score,
-         Secondary_Sales_growth_Score,
-         MSR_Achievement_Score,
-         RX_Growth_Score,
-         Brand_Performance_Index_Score
-       FROM bgm_be_dashboard_ftm
-       WHERE Territory = ?`;
-    let params = [Territory];
+    const role = rows[0].Role?.toUpperCase(); // Handle case variations
+    const allowedRoles = ['BE', 'KAE', 'TE', 'NE'];
+    const isAllowed = allowedRoles.includes(role);
+
+    res.json({
+      allowed: isAllowed,
+      role: rows[0].Role,
+      name: rows[0].Emp_Name // Return actual role for debugging
+    });
 
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
+  } catch (err) {
+    console.error("Error in /checkrole:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get('/getdivision', authorizeTerritory(territoryFromQuery('territory')), async (req, res) => {
+  try {
+    const territory = req.query.territory || req.user.territory;
+    const role = req.query.role || (territory === req.user.territory ? req.user.role : undefined);
+
+    let query = "";
+    let params = [territory];
+
+    if (role === 'BH') {
+      query = `SELECT DISTINCT division FROM bgm_bh_dashboard_ftm WHERE BH_Territory = ?`;
+    } else if (role === 'SBUH') {
+      query = `SELECT DISTINCT division FROM bgm_sbuh_dashboard_ftm WHERE SBUH_Territory = ?`;
+    } else {
+      query = `SELECT Division FROM organogram WHERE Territory = ? LIMIT 1`;
     }
 
     const [rows] = await pool.query(query, params);
 
-    if (rows.length === 0) {
-      return res.status(404).json({ message: "No record found for this Territory" });
+    if (role === 'BH' || role === 'SBUH') {
+      const divisions = rows.map(r => r.division).filter(Boolean);
+      res.json({ divisions, division: divisions[0] || null });
+    } else {
+      // For other roles, return a single division as before for backward compatibility
+      const division = rows.length > 0 ? (rows[0].Division || rows[0].division) : null;
+      res.json({ division });
     }
 
-    const row = rows[0];
+  } catch (err) {
+    console.error("Error /getdivision:", err);
+    res.status(500).send("Server Error");
+  }
+});
 
-    // First set
-    const totalScore3 = (
-      (Number(row.Calls_Score) || 0) +
-      (Number(row.RCPA_Score) || 0) +
-      (Number(row.Coverage_Score) || 0) +
-      (Number(row.Compliance_Score) || 0) +
-      (Number(row.Activity_Implementation_Score) || 0)
-    ).toFixed(2);
+app.get('/emp-name/:territory', authorizeTerritory(territoryFromParams()), async (req, res) => {
+  const territory = req.params.territory;
 
-    const totalScore4 = (
-      (Number(row.Secondary_Sales_growth_Score) || 0) +
-      (Number(row.MSR_Achievement_Score) || 0) +
-      (Number(row.RX_Growth_Score) || 0) +
-      (Number(row.Brand_Performance_Index_Score) || 0)
-    ).toFixed(2);
+  try {
+    const [rows] = await pool.query(
+      "SELECT Emp_Name FROM organogram WHERE Territory = ? LIMIT 1",
+      [territory]
+    );
 
+    if (rows.length === 0) {
+      return res.status(404).json({ message: "No employee found for given Territory" });
+    }
 
-    res.json({
-      totalScore3: Number(parseFloat(totalScore3).toFixed(2)),
-      totalScore4: Number(parseFloat(totalScore4).toFixed(2))
-    });
+    res.json({ Emp_Name: rows[0].Emp_Name });
 
-  } catch (error) {
-    console.error("Error fetching YTD data:", error);
-    res.status(500).json({ error: "Internal Server Error" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
   }
 });
-// BM Efficiency Index endpoint
-app.post('/bmEfficiency', async (req, res) => {
+// ---------- Commitments insert ----------
+
+app.post('/putData', async (req, res) => {
   try {
-    const { Territory, Month } = req.body;
+    const dataToInsert = req.body;
+    const dataArray = Array.isArray(dataToInsert) ? dataToInsert : [dataToInsert];
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
+    if (dataArray.length === 0) {
+      return res.status(400).send('No data received');
     }
 
-    // 1) Fetch FTM (month) scores for BM
-    let ftmQuery = `SELECT
-         Target_Achieved_FTM_Score,
-         BPI_FTM_Score,
-         Span_Performance_FTM_Score,
-         RX_Growth_FTM_Score,
-         Viable_Territories_FTM_Score,
+    for (const row of dataArray) {
+      if (!(await canAccessTerritory(req.user, row.receiver_territory))) {
+        return res.status(403).send(`Receiver ${row.receiver_territory} is outside your team`);
+      }
 
-         Priority_Drs_Met_FTM_Score,
-         Calls_FTM_Score,
-         Coverage_Score2,
-         Compliance_Score2,
-         Marketing_Implementation_FTM_Score,
-         MSP_Compliance_FTM_Score,
-         Priority_RX_Drs_FTM_Score,
-         MSR_Comp_FTM_Score,
+      const lock = await findPeriodLock(
+        periodOf(row.received_date),
+        await divisionOf(row.receiver_territory)
+      );
+      if (lock) return sendPeriodLocked(res, lock);
+    }
 
-         Outstanding_FTM_Score,
-         Returns_Percent_FTM_Score,
-         CA_FTM_Score,
-         Closing_FTM_Score
-       FROM bgm_bm_dashboard_ftm   -- your BM FTM table
-       WHERE BM_Territory = ?`;
-    let ftmParams = [Territory];
+    // Sender is always the logged-in caller
+    const values = dataArray.map(row => [
+      row.metric,
+      req.user.empName,
+      req.user.empCode,
+      req.user.territory,
+      row.receiver,
+      row.receiver_code,
+      row.receiver_territory,
+      row.goal,
+      row.received_date,
+      row.goal_date,
+      row.receiver_commit_date || null,
+      row.commitment,
+      row.receiver_commit_date ? 'committed' : 'sent'
+    ]);
 
-    if (Month) {
-      ftmQuery += ` AND Period = ?`;
-      ftmParams.push(Month);
-    }
-
-    const [ftmRows] = await pool.query(ftmQuery, ftmParams);
-
-    // 2) Fetch YTD scores for BM
-    let ytdQuery = `SELECT
-         Target_Achieved_YTD_Score,
-         Brand_Performance_Index_YTD_Score,
-         Span_of_Performance_YTD_Score,
-         RX_Growth_YTD_Score,
-         Viable_Territories_YTD_Score,
-
-         Priority_Drs_Met_YTD_Score,
-         Calls_YTD_Score,
-         Coverage_YTD_Score,
-         Compliance_YTD_Score,
-         Marketing_Implementation_YTD_Score,
-         MSP_Compliance_YTD_Score,
-         Priority_RX_Drs_YTD_Score,
-         MSR_Compliance_YTD_Score,
-
-         Returns_Percent_YTD_Score,
-         CA_Percent_YTD_Score
-       FROM bgm_bm_dashboard_ytd   -- your BM YTD table
-       WHERE BM_Territory = ?`;
-    let ytdParams = [Territory];
+    const query = `
+      INSERT INTO commitments (
+        metric,
+        sender,
+        sender_code,
+        sender_territory,
+        receiver,
+        receiver_code,
+        receiver_territory,
+        goal,
+        received_date,
+        goal_date,
+        receiver_commit_date,
+        commitment,
+        status
+      ) VALUES ?
+    `;
 
-    if (Month) {
-      ytdQuery += ` AND Period = ?`;
-      ytdParams.push(Month);
-    }
-
-    const [ytdRows] = await pool.query(ytdQuery, ytdParams);
-
-    if (!ftmRows.length || !ytdRows.length) {
-      return res.status(404).json({ message: "No BM record found for this Territory" });
-    }
-
-    const ftm = ftmRows[0];
-    const ytd = ytdRows[0];
-
-    // ---------------------------
-    // Business Performance totals
-    // ---------------------------
-    const bmBusinessMonth = (
-      (Number(ftm.Target_Achieved_FTM_Score) || 0) +
-      (Number(ftm.BPI_FTM_Score) || 0) +
-      (Number(ftm.Span_Performance_FTM_Score) || 0) +
-      (Number(ftm.RX_Growth_FTM_Score) || 0) +
-      (Number(ftm.Viable_Territories_FTM_Score) || 0)
-    ).toFixed(2);
-
-    const bmBusinessYTD = (
-      (Number(ytd.Target_Achieved_YTD_Score) || 0) +
-      (Number(ytd.Brand_Performance_Index_YTD_Score) || 0) +
-      (Number(ytd.Span_of_Performance_YTD_Score) || 0) +
-      (Number(ytd.RX_Growth_YTD_Score) || 0) +
-      (Number(ytd.Viable_Territories_YTD_Score) || 0)
-    ).toFixed(2);
-
-    // ---------------------------
-    // Efforts & Effectiveness totals
-    // ---------------------------
-    const bmEffortMonth = (
-      (Number(ftm.Priority_Drs_Met_FTM_Score) || 0) +
-      (Number(ftm.Calls_FTM_Score) || 0) +
-      (Number(ftm.Coverage_Score2) || 0) +
-      (Number(ftm.Compliance_Score2) || 0) +
-      (Number(ftm.Marketing_Implementation_FTM_Score) || 0) +
-      (Number(ftm.MSP_Compliance_FTM_Score) || 0) +
-      (Number(ftm.Priority_RX_Drs_FTM_Score) || 0) +
-      (Number(ftm.MSR_Comp_FTM_Score) || 0)
-    ).toFixed(2);
-
-    const bmEffortYTD = (
-      (Number(ytd.Priority_Drs_Met_YTD_Score) || 0) +
-      (Number(ytd.Calls_YTD_Score) || 0) +
-      (Number(ytd.Coverage_YTD_Score) || 0) +
-      (Number(ytd.Compliance_YTD_Score) || 0) +
-      (Number(ytd.Marketing_Implementation_YTD_Score) || 0) +
-      (Number(ytd.MSP_Compliance_YTD_Score) || 0) +
-      (Number(ytd.Priority_RX_Drs_YTD_Score) || 0) +
-      (Number(ytd.MSR_Compliance_YTD_Score) || 0)
-    ).toFixed(2);
-
-    // ---------------------------
-    // Hygiene totals
-    // ---------------------------
-    const bmHygieneMonth = (
-      (Number(ftm.Outstanding_FTM_Score) || 0) +
-      (Number(ftm.Returns_Percent_FTM_Score) || 0) +
-      (Number(ftm.CA_FTM_Score) || 0) +
-      (Number(ftm.Closing_FTM_Score) || 0)
-    ).toFixed(2);
-
-    const bmHygieneYTD = (
-      (Number(ytd.Returns_Percent_YTD_Score) || 0) +
-      (Number(ytd.CA_Percent_YTD_Score) || 0)
-    ).toFixed(2);
-
-    // Efficiency Index (BM)
-    const efficiencyMonth = (
-      Number(bmBusinessMonth) +
-      Number(bmEffortMonth) +
-      Number(bmHygieneMonth)
-    ).toFixed(2);
-
-    const efficiencyYTD = (
-      Number(bmBusinessYTD) +
-      Number(bmEffortYTD) +
-      Number(bmHygieneYTD)
-    ).toFixed(2);
+    await pool.query(query, [values]);
+    return res.status(201).send('success');
+  } catch (err) {
+    console.error('Error /putData:', err);
+    return res.status(500).send('Internal Server Error');
+  }
+});
 
-    res.json({
-      businessMonth: Number(bmBusinessMonth),
-      businessYTD: Number(bmBusinessYTD),
+// ---------- Dashboards (role registry) ----------
+// One entry per role: where its FTM / YTD rows live, which column holds
+// the territory and which organogram Role values it covers. Adding a role
+// or scope is a config change here.
+const DASHBOARD_ROLES = {
+  be: {
+    label: 'BE',
+    organogramRoles: ['BE', 'KAE', 'TE', 'NE'],
+    territoryColumn: 'Territory',
+    division: false,
+    tables: { ftm: 'bgm_be_dashboard_ftm', ytd: 'bgm_be_dashboard_ytd' },
+  },
+  bm: {
+    label: 'BM',
+    organogramRoles: ['BM'],
+    territoryColumn: 'BM_Territory',
+    division: false,
+    tables: { ftm: 'bgm_bm_dashboard_ftm', ytd: 'bgm_bm_dashboard_ytd' },
+  },
+  bl: {
+    label: 'BL',
+    organogramRoles: ['BL'],
+    territoryColumn: 'BL_Territory',
+    division: false,
+    tables: { ftm: 'bgm_bl_dashboard_ftm', ytd: 'bgm_bl_dashboard_ytd' },
+  },
+  bh: {
+    label: 'BH',
+    organogramRoles: ['BH'],
+    territoryColumn: 'BH_Territory',
+    division: true,
+    tables: { ftm: 'bgm_bh_dashboard_ftm', ytd: 'bgm_bh_dashboard_ytd' },
+  },
+  sbuh: {
+    label: 'SBUH',
+    organogramRoles: ['SBUH'],
+    territoryColumn: 'SBUH_Territory',
+    division: true,
+    tables: { ftm: 'bgm_sbuh_dashboard_ftm', ytd: 'bgm_sbuh_dashboard_ytd' },
+  },
+};
+
+// organogram Role ('BE', 'TE', 'BM', ...) -> registry key ('be', 'bm', ...)
+function dashboardRoleFor(organogramRole) {
+  const wanted = String(organogramRole || '').toUpperCase();
+  return Object.keys(DASHBOARD_ROLES).find(key =>
+    DASHBOARD_ROLES[key].organogramRoles.includes(wanted)
+  ) || null;
+}
 
-      effortMonth: Number(bmEffortMonth),
-      effortYTD: Number(bmEffortYTD),
+async function fetchDashboardRow(role, scope, { territory, division, month }) {
+  const config = DASHBOARD_ROLES[role];
 
-      hygieneMonth: Number(bmHygieneMonth),
-      hygieneYTD: Number(bmHygieneYTD),
+  let query = `SELECT * FROM ${config.tables[scope]} WHERE ${config.territoryColumn} = ?`;
+  let params = [territory];
 
-      efficiencyMonth: Number(efficiencyMonth),
-      efficiencyYTD: Number(efficiencyYTD),
-    });
-  } catch (error) {
-    console.error("Error fetching BM efficiency:", error);
-    res.status(500).json({ error: "Internal Server Error" });
+  // Division filter only exists on the BH / SBUH tables
+  if (division && config.division) {
+    query += ` AND division = ?`;
+    params.push(division);
   }
-});
-app.post('/blEfficiency', async (req, res) => {
+
+  if (month) {
+    query += ` AND Period = ?`;
+    params.push(month);
+  }
+
+  const [rows] = await pool.query(query, params);
+  return rows[0] || null;
+}
+
+async function sendDashboardRow(res, role, scope, { territory, division, month }) {
   try {
-    const { Territory, Month } = req.body;
+    const row = await fetchDashboardRow(role, scope, { territory, division, month });
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
+    if (!row) {
+      const what = `${DASHBOARD_ROLES[role].label} ${scope.toUpperCase()}`;
+      return res.status(404).json({
+        message: division && DASHBOARD_ROLES[role].division
+          ? `No ${what} record found for Territory: ${territory}, Division: ${division}`
+          : `No ${what} record found for Territory: ${territory}`
+      });
     }
 
-    // 1) Fetch FTM (month) scores for BL
-    let ftmQuery = `SELECT
-         -- Business Performance FTM
-         Target_Achievement_Score,
-         Territories_Achieving_Target_Score,
-         Territories_Achieving_Cat_A_MEP_Score,
-         Category_B_Sales_Vs_Target_Score,
-         Corporate_Drs_Visited_Last_2M_Score,
-         Corporate_Drs_Active_Prescribers_Score,
-
-         -- Performance (Efforts) FTM  
-         Hiring_Quality_Index_Score,
-         Induction_Score,
-         Infant_Attrition_Rate_Score,
-         Overall_Attrition_Rate_Score,
+    res.json(row);
+  } catch (error) {
+    console.error(`Error fetching ${role} ${scope} dashboard:`, error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
 
-         -- Hygiene FTM
-         Returns_Score,
-         Outstanding_Score,
-         Marketing_Activity_Sales_Score,
-         Closing_Score,
+// GET /dashboard/bm/ytd?Territory=...&Month=...&Division=...
+app.get('/dashboard/:role/:scope', authorizeTerritory(territoryFromQuery()), async (req, res) => {
+  const role = req.params.role.toLowerCase();
+  const scope = req.params.scope.toLowerCase();
+  const config = Object.hasOwn(DASHBOARD_ROLES, role) ? DASHBOARD_ROLES[role] : null;
 
-         -- Commitment FTM
-         Team_Coverage_Score,
-         Team_Compliance_Score,
-         BM_Priority_Drs_Coverage_Score,
-         TP_Adherence_Score,
-         Secondary_Variance_Score,
-         MSP_Compliance_Territories_Score,
-         MSR_Compliance_Territories_Score
+  if (!config) {
+    return res.status(404).json({ error: `Unknown dashboard role: ${req.params.role}` });
+  }
 
-       FROM bgm_bl_dashboard_ftm
-       WHERE BL_Territory = ?`;
-    let ftmParams = [Territory];
+  if (!Object.hasOwn(config.tables, scope)) {
+    return res.status(404).json({ error: `Unknown dashboard scope: ${req.params.scope}` });
+  }
 
-    if (Month) {
-      ftmQuery += ` AND Period = ?`;
-      ftmParams.push(Month);
-    }
-
-    const [ftmRows] = await pool.query(ftmQuery, ftmParams);
-
-    // 2) Fetch YTD scores for BL
-    let ytdQuery = `SELECT
-         -- Business Performance YTD
-         Target_Achievement_Score,
-         Territories_Achieving_Target_Score,
-         Territories_Achieving_Cat_A_MEP_Score,
-         Category_B_Sales_Vs_Target_Score,
-        Corporate_Drs_Coverage_Score,
-         Corporate_Drs_Active_Prescribers_Score,
-
-         -- Performance (Efforts) YTD
-         Hiring_Quality_Index_Score,
-         Induction_Score,
-         Infant_Attrition_Rate_Score,
-         Overall_Attrition_Rate_Score,
-
-         -- Hygiene YTD
-         Returns_Score,
-         Marketing_Activity_Sales_Score,
-
-         -- Commitment YTD
-         Team_Coverage_Score,
-         Team_Compliance_Score,
-         BM_Priority_Drs_Coverage_Score,
-         TP_Adherence_Score,
-         Secondary_Variance_Score,
-         MSP_Compliance_Territories_Score,
-         MSR_Compliance_Territories_Score
-
-       FROM bgm_bl_dashboard_ytd
-       WHERE BL_Territory = ?`;
-    let ytdParams = [Territory];
+  await sendDashboardRow(res, role, scope, {
+    territory: req.query.Territory || req.user.territory,
+    division: req.query.Division,
+    month: req.query.Month,
+  });
+});
 
-    if (Month) {
-      ytdQuery += ` AND Period = ?`;
-      ytdParams.push(Month);
-    }
-
-    const [ytdRows] = await pool.query(ytdQuery, ytdParams);
-
-    if (!ftmRows.length || !ytdRows.length) {
-      return res.status(404).json({ message: "No BL record found for this Territory" });
-    }
-
-    const ftm = ftmRows[0];
-    const ytd = ytdRows[0];
-
-    // ---------------------------
-    // Business Performance totals
-    // ---------------------------
-    const blBusinessMonth = (
-      (Number(ftm.Target_Achievement_Score) || 0) +
-      (Number(ftm.Territories_Achieving_Target_Score) || 0) +
-      (Number(ftm.Territories_Achieving_Cat_A_MEP_Score) || 0) +
-      (Number(ftm.Category_B_Sales_Vs_Target_Score) || 0) +
-      (Number(ftm.Corporate_Drs_Visited_Last_2M_Score) || 0) +
-      (Number(ftm.Corporate_Drs_Active_Prescribers_Score) || 0)
-    ).toFixed(2);
-
-    const blBusinessYTD = (
-      (Number(ytd.Target_Achievement_Score) || 0) +
-      (Number(ytd.Territories_Achieving_Target_Score) || 0) +
-      (Number(ytd.Territories_Achieving_Cat_A_MEP_Score) || 0) +
-      
-      (Number(ytd.Category_B_Sales_Vs_Target_Score) || 0) +
-(Number(ytd.Corporate_Drs_Coverage_Score) || 0) +
-      (Number(ytd.Corporate_Drs_Active_Prescribers_Score) || 0)
-    ).toFixed(2);
-
-    // ---------------------------
-    // Performance/Efforts totals
-    // ---------------------------
-    const blEffortMonth = (
-      (Number(ftm.Hiring_Quality_Index_Score) || 0) +
-      (Number(ftm.Induction_Score) || 0) +
-      (Number(ftm.Infant_Attrition_Rate_Score) || 0) +
-      (Number(ftm.Overall_Attrition_Rate_Score) || 0)
-    ).toFixed(2);
-
-    const blEffortYTD = (
-      (Number(ytd.Hiring_Quality_Index_Score) || 0) +
-      (Number(ytd.Induction_Score) || 0) +
-      (Number(ytd.Infant_Attrition_Rate_Score) || 0) +
-      (Number(ytd.Overall_Attrition_Rate_Score) || 0)
-    ).toFixed(2);
-
-    // ---------------------------
-    // Hygiene totals
-    // ---------------------------
-    const blHygieneMonth = (
-      (Number(ftm.Returns_Score) || 0) +
-      (Number(ftm.Outstanding_Score) || 0) +
-      (Number(ftm.Marketing_Activity_Sales_Score) || 0) +
-      (Number(ftm.Closing_Score) || 0)
-    ).toFixed(2);
-
-    const blHygieneYTD = (
-      (Number(ytd.Returns_Score) || 0) +
-      (Number(ytd.Marketing_Activity_Sales_Score) || 0)
-    ).toFixed(2);
-
-    // ---------------------------
-    // Commitment totals
-    // ---------------------------
-    const blCommitmentMonth = (
-      (Number(ftm.Team_Coverage_Score) || 0) +
-      (Number(ftm.Team_Compliance_Score) || 0) +
-      (Number(ftm.BM_Priority_Drs_Coverage_Score) || 0) +
-      (Number(ftm.TP_Adherence_Score) || 0) +
-      (Number(ftm.Secondary_Variance_Score) || 0) +
-      (Number(ftm.MSP_Compliance_Territories_Score) || 0) +
-      (Number(ftm.MSR_Compliance_Territories_Score) || 0)
-    ).toFixed(2);
-
-    const blCommitmentYTD = (
-      (Number(ytd.Team_Coverage_Score) || 0) +
-      (Number(ytd.Team_Compliance_Score) || 0) +
-      (Number(ytd.BM_Priority_Drs_Coverage_Score) || 0) +
-      (Number(ytd.TP_Adherence_Score) || 0) +
-      (Number(ytd.Secondary_Variance_Score) || 0) +
-      (Number(ytd.MSP_Compliance_Territories_Score) || 0) +
-      (Number(ytd.MSR_Compliance_Territories_Score) || 0)
-    ).toFixed(2);
-
-    // ---------------------------
-    // Efficiency Index (BL)
-    // ---------------------------
-    const efficiencyMonth = (
-      Number(blBusinessMonth) +
-      Number(blEffortMonth) +
-      Number(blHygieneMonth) +
-      Number(blCommitmentMonth)
-    ).toFixed(2);
-
-    const efficiencyYTD = (
-      Number(blBusinessYTD) +
-      Number(blEffortYTD) +
-      Number(blHygieneYTD) +
-      Number(blCommitmentYTD)
-    ).toFixed(2);
+// Legacy POST routes, kept as aliases until the frontend moves to /dashboard
+const dashboardAlias = (role, scope) => (req, res) =>
+  sendDashboardRow(res, role, scope, {
+    territory: req.body.Territory || req.user.territory,
+    division: req.body.Division,
+    month: req.body.Month,
+  });
 
-    res.json({
-      businessMonth: Number(blBusinessMonth),
-      businessYTD: Number(blBusinessYTD),
+app.post('/dashboardData', authorizeTerritory(territoryFromBody()), dashboardAlias('be', 'ftm'));
+app.post('/bmDashboardData', authorizeTerritory(territoryFromBody()), dashboardAlias('bm', 'ftm'));
+app.post('/blDashboardData', authorizeTerritory(territoryFromBody()), dashboardAlias('bl', 'ftm'));
+app.post('/bhDashboardData', authorizeTerritory(territoryFromBody()), dashboardAlias('bh', 'ftm'));
+app.post('/sbuhDashboardData', authorizeTerritory(territoryFromBody()), dashboardAlias('sbuh', 'ftm'));
+
+app.post('/dashboardytdData', authorizeTerritory(territoryFromBody()), dashboardAlias('be', 'ytd'));
+app.post('/bmDashboardytdData', authorizeTerritory(territoryFromBody()), dashboardAlias('bm', 'ytd'));
+app.post('/blDashboardytdData', authorizeTerritory(territoryFromBody()), dashboardAlias('bl', 'ytd'));
+app.post('/bhDashboardytdData', authorizeTerritory(territoryFromBody()), dashboardAlias('bh', 'ytd'));
+app.post('/sbuhDashboardytdData', authorizeTerritory(territoryFromBody()), dashboardAlias('sbuh', 'ytd'));
+
+// ---------- Efficiency scorecards ----------
+// Which *_Score columns roll into which bucket is data, not code:
+// scorecards.json holds the baseline per role, and admins publish new
+// versions into scorecard_versions with the Period they take effect from.
+// A component may list only an `ftm` or only a `ytd` column, and can carry
+// an optional `weight` (default 1) and `cap` (the most its score may count
+// for). `max` is the full-marks value shown in the detailed view and
+// `rawFtm` / `rawYtd` name the underlying KPI column; a bucket may carry
+// the same `cap` and `max`. None of these are guessed: until the baseline
+// gets confirmed maxima and KPI columns, the detailed view reports `max`,
+// `gap` and `raw` as null and `levers` stays empty.
+const SCORECARD_BASELINE = require('./scorecards.json');
+const SCORECARD_CACHE_TTL_MS = Number(process.env.SCORECARD_CACHE_TTL_MS || 60 * 1000);
+const scorecardCache = new Map();
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+async function getScorecardVersions(role) {
+  const cached = scorecardCache.get(role);
+  if (cached && Date.now() - cached.loadedAt < SCORECARD_CACHE_TTL_MS) return cached.versions;
+
+  const [rows] = await pool.query(
+    `SELECT id, role, effective_from, definition, note, created_by, created_at
+     FROM scorecard_versions
+     WHERE role = ?
+     ORDER BY id DESC`,
+    [role]
+  );
+
+  const versions = rows.map(r => ({
+    version: r.id,
+    effectiveFrom: r.effective_from,
+    note: r.note,
+    createdBy: r.created_by,
+    createdAt: r.created_at,
+    ...(typeof r.definition === 'string' ? JSON.parse(r.definition) : r.definition),
+  }));
+
+  scorecardCache.set(role, { loadedAt: Date.now(), versions });
+  return versions;
+}
 
-      effortMonth: Number(blEffortMonth),
-      effortYTD: Number(blEffortYTD),
+// Latest published version already in effect for `period` (YYYY-MM),
+// falling back to the baseline file.
+async function getScorecard(role, period) {
+  const target = period || currentPeriod();
+  const versions = await getScorecardVersions(role);
 
-      hygieneMonth: Number(blHygieneMonth),
-      hygieneYTD: Number(blHygieneYTD),
+  const active = versions
+    .filter(v => !v.effectiveFrom || String(v.effectiveFrom) <= String(target))
+    .sort((a, b) =>
+      String(b.effectiveFrom || '').localeCompare(String(a.effectiveFrom || '')) || b.version - a.version
+    )[0];
 
-      commitmentMonth: Number(blCommitmentMonth),
-      commitmentYTD: Number(blCommitmentYTD),
+  return active || SCORECARD_BASELINE[role];
+}
 
-      efficiencyMonth: Number(efficiencyMonth),
-      efficiencyYTD: Number(efficiencyYTD),
-    });
+function validateScorecard(definition) {
+  const isNum = (v) => v === undefined || v === null || Number.isFinite(v);
+  const isColumn = (v) => v === undefined || /^[A-Za-z0-9_]+$/.test(v);
 
-  } catch (error) {
-    console.error("Error fetching BL efficiency:", error);
-    res.status(500).json({ error: "Internal Server Error" });
+  if (!definition || !Array.isArray(definition.buckets) || definition.buckets.length === 0) {
+    return "definition.buckets must be a non-empty array";
   }
-});
-app.post('/bhEfficiency', async (req, res) => {
-  try {
-    const { Territory, Division, Month } = req.body;
-
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
-    }
-
-    // -----------------------------
-    // Build dynamic queries with Division filter
-    // -----------------------------
-    let ftmQuery = `SELECT
-      -- Business Performance
-      Target_Achievement_Score,
-      Territories_Achieving_Cat_A_MEP_Score,
-      Category_B_Sales_Vs_Target_Score,
-      BMs_Achieving_Target_Score,
-      Span_of_Performance_Score,
-
-      -- Performance / Efforts
-      Overall_Attrition_Rate_Score,
-      Secondary_Variance_Score,
-      MSP_Compliance_Territories_Score,
-      MSR_Compliance_Territories_Score,
-      BE_Active_vs_Sanctioned_Score,
-      BM_BL_Active_vs_Sanctioned_Score,
-
-      -- Hygiene
-      Returns_Score,
-      Outstanding_Score,
-      Marketing_Activity_Sales_Score,
-      Closing_Score,
-
-      -- Commitment
-      Calls_Score,
-      Coverage_Score,
-      Compliance_Score,
-      Priority_Drs_Coverage_Score,
-      Priority_RX_Drs_Score,
-      BM_Priority_Drs_Coverage_Score
-    FROM bgm_bh_dashboard_ftm
-    WHERE BH_Territory = ?`;
-
-    let ytdQuery = `SELECT
-      Target_Achievement_Score,
-      Territories_Achieving_Cat_A_MEP_Score,
-      Category_B_Sales_Vs_Target_Score,
-      BMs_Achieving_Target_Score,
-      Span_of_Performance_Score,
-
-      Overall_Attrition_Rate_Score,
-      Secondary_Variance_Score,
-      MSP_Compliance_Territories_Score,
-      MSR_Compliance_Territories_Score,
-
-      Returns_Score,
-      Marketing_Activity_Sales_Score,
-
-      Calls_Score,
-      Team_Coverage_Score,
-      Team_Compliance_Score,
-      Corporate_Drs_Coverage_Score,
-      Corporate_Drs_Active_Prescribers_Score,
-      BM_Priority_Drs_Coverage_Score
-    FROM bgm_bh_dashboard_ytd
-    WHERE BH_Territory = ?`;
-
-    let ftmParams = [Territory];
-    let ytdParams = [Territory];
-
-    // Add division filter if provided
-    if (Division) {
-      ftmQuery += ` AND division = ?`;
-      ytdQuery += ` AND division = ?`;
-      ftmParams.push(Division);
-      ytdParams.push(Division);
+
+  for (const bucket of definition.buckets) {
+    if (!bucket.key || !/^[a-z][A-Za-z0-9]*$/.test(bucket.key)) {
+      return `Invalid bucket key: ${bucket.key}`;
     }
+    if (!Array.isArray(bucket.components) || bucket.components.length === 0) {
+      return `Bucket ${bucket.key} needs at least one component`;
+    }
+    if (!isNum(bucket.cap) || !isNum(bucket.max)) return `Bucket ${bucket.key} has a non-numeric cap or max`;
 
-    if (Month) {
-      ftmQuery += ` AND Period = ?`;
-      ytdQuery += ` AND Period = ?`;
-      ftmParams.push(Month);
-      ytdParams.push(Month);
+    for (const c of bucket.components) {
+      if (!c.key) return `Every component in ${bucket.key} needs a key`;
+      if (!c.ftm && !c.ytd) return `Component ${c.key} needs an ftm or ytd column`;
+      if (![c.ftm, c.ytd, c.rawFtm, c.rawYtd].every(isColumn)) {
+        return `Component ${c.key} has an invalid column name`;
+      }
+      if (!isNum(c.weight) || !isNum(c.cap) || !isNum(c.max)) {
+        return `Component ${c.key} has a non-numeric weight, cap or max`;
+      }
     }
+  }
 
-    // -----------------------------
-    // Execute queries
-    // -----------------------------
-    const [ftmRows] = await pool.query(ftmQuery, ftmParams);
-    const [ytdRows] = await pool.query(ytdQuery, ytdParams);
+  return null;
+}
 
-    if (!ftmRows.length || !ytdRows.length) {
-      return res.status(404).json({
-        message: Division
-          ? `No BH Efficiency record found for Territory: ${Territory}, Division: ${Division}`
-          : `No BH Efficiency record found for Territory: ${Territory}`
-      });
-    }
+const hasValue = (v) => v !== undefined && v !== null;
 
-    const ftm = ftmRows[0];
-    const ytd = ytdRows[0];
-
-    // =============================
-    // BUSINESS PERFORMANCE
-    // =============================
-    const businessMonth =
-      (Number(ftm.Target_Achievement_Score) || 0) +
-      (Number(ftm.Territories_Achieving_Cat_A_MEP_Score) || 0) +
-      (Number(ftm.Category_B_Sales_Vs_Target_Score) || 0) +
-      (Number(ftm.BMs_Achieving_Target_Score) || 0) +
-      (Number(ftm.Span_of_Performance_Score) || 0);
-
-    const businessYTD =
-      (Number(ytd.Target_Achievement_Score) || 0) +
-      (Number(ytd.Territories_Achieving_Cat_A_MEP_Score) || 0) +
-      (Number(ytd.Category_B_Sales_Vs_Target_Score) || 0) +
-      (Number(ytd.BMs_Achieving_Target_Score) || 0) +
-      (Number(ytd.Span_of_Performance_Score) || 0);
-
-    // =============================
-    // PERFORMANCE / EFFORTS
-    // =============================
-    const effortMonth =
-      (Number(ftm.Overall_Attrition_Rate_Score) || 0) +
-      (Number(ftm.Secondary_Variance_Score) || 0) +
-      (Number(ftm.MSP_Compliance_Territories_Score) || 0) +
-      (Number(ftm.MSR_Compliance_Territories_Score) || 0) +
-      (Number(ftm.BE_Active_vs_Sanctioned_Score) || 0) +
-      (Number(ftm.BM_BL_Active_vs_Sanctioned_Score) || 0);
-
-    const effortYTD =
-      (Number(ytd.Overall_Attrition_Rate_Score) || 0) +
-      (Number(ytd.Secondary_Variance_Score) || 0) +
-      (Number(ytd.MSP_Compliance_Territories_Score) || 0) +
-      (Number(ytd.MSR_Compliance_Territories_Score) || 0);
-
-    // =============================
-    // HYGIENE
-    // =============================
-    const hygieneMonth =
-      (Number(ftm.Returns_Score) || 0) +
-      (Number(ftm.Outstanding_Score) || 0) +
-      (Number(ftm.Marketing_Activity_Sales_Score) || 0) +
-      (Number(ftm.Closing_Score) || 0);
-
-    const hygieneYTD =
-      (Number(ytd.Returns_Score) || 0) +
-      (Number(ytd.Marketing_Activity_Sales_Score) || 0);
-
-    // =============================
-    // COMMITMENT
-    // =============================
-    const commitmentMonth =
-      (Number(ftm.Calls_Score) || 0) +
-      (Number(ftm.Coverage_Score) || 0) +
-      (Number(ftm.Compliance_Score) || 0) +
-      (Number(ftm.Priority_Drs_Coverage_Score) || 0) +
-      (Number(ftm.Priority_RX_Drs_Score) || 0) +
-      (Number(ftm.BM_Priority_Drs_Coverage_Score) || 0);
-
-    const commitmentYTD =
-      (Number(ytd.Calls_Score) || 0) +
-      (Number(ytd.Team_Coverage_Score) || 0) +
-      (Number(ytd.Team_Compliance_Score) || 0) +
-      (Number(ytd.Corporate_Drs_Coverage_Score) || 0) +
-      (Number(ytd.Corporate_Drs_Active_Prescribers_Score) || 0) +
-      (Number(ytd.BM_Priority_Drs_Coverage_Score) || 0);
-
-    // =============================
-    // EFFICIENCY INDEX
-    // =============================
-    const efficiencyMonth = businessMonth + effortMonth + hygieneMonth + commitmentMonth;
-    const efficiencyYTD = businessYTD + effortYTD + hygieneYTD + commitmentYTD;
+// Weighted, capped score of one component column
+function weightedScore(c, value) {
+  const score = (Number(value) || 0) * (c.weight ?? 1);
+  return hasValue(c.cap) ? Math.min(score, c.cap) : score;
+}
 
-    res.json({
-      businessMonth,
-      businessYTD,
-      effortMonth,
-      effortYTD,
-      hygieneMonth,
-      hygieneYTD,
-      commitmentMonth,
-      commitmentYTD,
-      efficiencyMonth,
-      efficiencyYTD
+// Score every component of a bucket that has a column for `period`
+// ('ftm' | 'ytd'); `max` is null when the scorecard doesn't define one.
+function scoreComponents(bucket, row, period) {
+  const scored = [];
+
+  for (const c of bucket.components) {
+    const column = c[period];
+    if (!column) continue;
+
+    const rawColumn = (period === 'ftm' ? c.rawFtm : c.rawYtd) || null;
+
+    scored.push({
+      key: c.key,
+      label: c.label || c.key,
+      column,
+      score: round2(weightedScore(c, row[column])),
+      rawColumn,
+      raw: rawColumn && hasValue(row[rawColumn]) ? row[rawColumn] : null,
+      max: hasValue(c.max) ? c.max : null,
     });
-
-  } catch (err) {
-    console.error("BH Efficiency error:", err);
-    res.status(500).json({ error: "Internal Server Error" });
   }
-});
 
-app.post('/sbuhEfficiency', async (req, res) => {
-  try {
-    const { Territory, Division, Month } = req.body;
-
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
-    }
-
-    // -----------------------------
-    // Build dynamic queries with Division filter
-    // -----------------------------
-    let ftmQuery = `SELECT
-      -- Business Performance
-      Target_Achievement_Score,
-      Territories_Achieving_Cat_A_MEP_Score,
-      Category_B_Sales_Vs_Target_Score,
-      BMs_Achieving_Target_Score,
-      Span_of_Performance_Score,
-
-      -- Performance / Efforts
-      Overall_Attrition_Rate_Score,
-      Secondary_Variance_Score,
-      MSP_Compliance_Territories_Score,
-      MSR_Compliance_Territories_Score,
-      BE_Active_vs_Sanctioned_Score,
-      BM_BL_Active_vs_Sanctioned_Score,
-
-      -- Hygiene
-      Returns_Score,
-      Outstanding_Score,
-      Marketing_Activity_Sales_Score,
-      Closing_Score,
-
-      -- Commitment
-      Calls_Score,
-      Coverage_Score,
-      Compliance_Score,
-      Priority_Drs_Coverage_Score,
-      Priority_RX_Drs_Score,
-      BM_Priority_Drs_Coverage_Score
-    FROM bgm_sbuh_dashboard_ftm
-    WHERE SBUH_Territory = ?`;
-
-    let ytdQuery = `SELECT
-      Target_Achievement_Score,
-      Territories_Achieving_Cat_A_MEP_Score,
-      Category_B_Sales_Vs_Target_Score,
-      BMs_Achieving_Target_Score,
-      Span_of_Performance_Score,
-
-      Overall_Attrition_Rate_Score,
-      Secondary_Variance_Score,
-      MSP_Compliance_Territories_Score,
-      MSR_Compliance_Territories_Score,
-
-      Returns_Score,
-      Marketing_Activity_Sales_Score,
-
-      Calls_Score,
-      Team_Coverage_Score,
-      Team_Compliance_Score,
-      Corporate_Drs_Coverage_Score,
-      Corporate_Drs_Active_Prescribers_Score,
-      BM_Priority_Drs_Coverage_Score
-    FROM bgm_sbuh_dashboard_ytd
-    WHERE SBUH_Territory = ?`;
-
-    let ftmParams = [Territory];
-    let ytdParams = [Territory];
-
-    // Add division filter if provided
-    if (Division) {
-      ftmQuery += ` AND division = ?`;
-      ytdQuery += ` AND division = ?`;
-      ftmParams.push(Division);
-      ytdParams.push(Division);
-    }
+  return scored;
+}
 
-    if (Month) {
-      ftmQuery += ` AND Period = ?`;
-      ytdQuery += ` AND Period = ?`;
-      ftmParams.push(Month);
-      ytdParams.push(Month);
+function scoreBucket(bucket, row, period) {
+  const total = scoreComponents(bucket, row, period).reduce((sum, c) => sum + c.score, 0);
+  return round2(hasValue(bucket.cap) ? Math.min(total, bucket.cap) : total);
+}
+
+// Per-component view of one bucket: score, raw KPI value, max, share of
+// the bucket total and the gap to full marks.
+function detailBucket(bucket, row, period) {
+  const components = scoreComponents(bucket, row, period);
+  const total = scoreBucket(bucket, row, period);
+
+  const summed = components.every(c => c.max !== null)
+    ? components.reduce((sum, c) => sum + c.max, 0)
+    : null;
+  let max = hasValue(bucket.max) ? bucket.max : summed;
+  if (max !== null && hasValue(bucket.cap)) max = Math.min(max, bucket.cap);
+  if (max !== null) max = round2(max);
+
+  return {
+    total,
+    max,
+    gap: max !== null ? round2(max - total) : null,
+    components: components.map(c => ({
+      ...c,
+      share: total ? Math.round((c.score / total) * 10000) / 10000 : 0,
+      gap: c.max !== null ? round2(c.max - c.score) : null,
+    })),
+  };
+}
+
+// { businessMonth, businessYTD, ..., efficiencyMonth, efficiencyYTD }, plus
+// a per-bucket `breakdown` and the biggest `levers` when `detail` is set.
+function scoreEfficiency(scorecard, ftm, ytd, { detail = false } = {}) {
+  const result = {};
+  const breakdown = {};
+  let efficiencyMonth = 0;
+  let efficiencyYTD = 0;
+
+  for (const bucket of scorecard.buckets) {
+    const month = scoreBucket(bucket, ftm, 'ftm');
+    const yearToDate = scoreBucket(bucket, ytd, 'ytd');
+
+    result[`${bucket.key}Month`] = month;
+    result[`${bucket.key}YTD`] = yearToDate;
+    efficiencyMonth += month;
+    efficiencyYTD += yearToDate;
+
+    if (detail) {
+      breakdown[bucket.key] = {
+        label: bucket.label || bucket.key,
+        month: detailBucket(bucket, ftm, 'ftm'),
+        ytd: detailBucket(bucket, ytd, 'ytd'),
+      };
     }
+  }
+
+  result.efficiencyMonth = round2(efficiencyMonth);
+  result.efficiencyYTD = round2(efficiencyYTD);
+  result.scorecardVersion = scorecard.version;
+
+  if (detail) {
+    // Components furthest from full marks first, across all buckets
+    const levers = (period) =>
+      Object.entries(breakdown)
+        .flatMap(([bucket, b]) => b[period].components.map(c => ({ bucket, ...c })))
+        .filter(c => c.gap !== null && c.gap > 0)
+        .sort((a, b) => b.gap - a.gap)
+        .slice(0, 5);
+
+    result.breakdown = breakdown;
+    result.levers = { month: levers('month'), ytd: levers('ytd') };
+  }
 
-    // -----------------------------
-    // Execute queries
-    // -----------------------------
-    const [ftmRows] = await pool.query(ftmQuery, ftmParams);
-    const [ytdRows] = await pool.query(ytdQuery, ytdParams);
+  return result;
+}
+
+async function computeEfficiency(role, { territory, division, month, detail }) {
+  const [ftm, ytd] = await Promise.all([
+    fetchDashboardRow(role, 'ftm', { territory, division, month }),
+    fetchDashboardRow(role, 'ytd', { territory, division, month }),
+  ]);
+
+  if (!ftm || !ytd) return null;
+
+  const scorecard = await getScorecard(role, month);
+  return scoreEfficiency(scorecard, ftm, ytd, { detail });
+}
+
+async function sendEfficiency(res, role, { territory, division, month, detail }) {
+  try {
+    const result = await computeEfficiency(role, { territory, division, month, detail });
 
-    if (!ftmRows.length || !ytdRows.length) {
+    if (!result) {
+      const label = DASHBOARD_ROLES[role].label;
       return res.status(404).json({
-        message: Division
-          ? `No SBUH Efficiency record found for Territory: ${Territory}, Division: ${Division}`
-          : `No SBUH Efficiency record found for Territory: ${Territory}`
+        message: division && DASHBOARD_ROLES[role].division
+          ? `No ${label} Efficiency record found for Territory: ${territory}, Division: ${division}`
+          : `No ${label} Efficiency record found for Territory: ${territory}`
       });
     }
 
-    const ftm = ftmRows[0];
-    const ytd = ytdRows[0];
-
-    // =============================
-    // BUSINESS PERFORMANCE
-    // =============================
-    const businessMonth =
-      (Number(ftm.Target_Achievement_Score) || 0) +
-      (Number(ftm.Territories_Achieving_Cat_A_MEP_Score) || 0) +
-      (Number(ftm.Category_B_Sales_Vs_Target_Score) || 0) +
-      (Number(ftm.BMs_Achieving_Target_Score) || 0) +
-      (Number(ftm.Span_of_Performance_Score) || 0);
-
-    const businessYTD =
-      (Number(ytd.Target_Achievement_Score) || 0) +
-      (Number(ytd.Territories_Achieving_Cat_A_MEP_Score) || 0) +
-      (Number(ytd.Category_B_Sales_Vs_Target_Score) || 0) +
-      (Number(ytd.BMs_Achieving_Target_Score) || 0) +
-      (Number(ytd.Span_of_Performance_Score) || 0);
-
-    // =============================
-    // PERFORMANCE / EFFORTS
-    // =============================
-    const effortMonth =
-      (Number(ftm.Overall_Attrition_Rate_Score) || 0) +
-      (Number(ftm.Secondary_Variance_Score) || 0) +
-      (Number(ftm.MSP_Compliance_Territories_Score) || 0) +
-      (Number(ftm.MSR_Compliance_Territories_Score) || 0) +
-      (Number(ftm.BE_Active_vs_Sanctioned_Score) || 0) +
-      (Number(ftm.BM_BL_Active_vs_Sanctioned_Score) || 0);
-
-    const effortYTD =
-      (Number(ytd.Overall_Attrition_Rate_Score) || 0) +
-      (Number(ytd.Secondary_Variance_Score) || 0) +
-      (Number(ytd.MSP_Compliance_Territories_Score) || 0) +
-      (Number(ytd.MSR_Compliance_Territories_Score) || 0);
-
-    // =============================
-    // HYGIENE
-    // =============================
-    const hygieneMonth =
-      (Number(ftm.Returns_Score) || 0) +
-      (Number(ftm.Outstanding_Score) || 0) +
-      (Number(ftm.Marketing_Activity_Sales_Score) || 0) +
-      (Number(ftm.Closing_Score) || 0);
-
-    const hygieneYTD =
-      (Number(ytd.Returns_Score) || 0) +
-      (Number(ytd.Marketing_Activity_Sales_Score) || 0);
-
-    // =============================
-    // COMMITMENT
-    // =============================
-    const commitmentMonth =
-      (Number(ftm.Calls_Score) || 0) +
-      (Number(ftm.Coverage_Score) || 0) +
-      (Number(ftm.Compliance_Score) || 0) +
-      (Number(ftm.Priority_Drs_Coverage_Score) || 0) +
-      (Number(ftm.Priority_RX_Drs_Score) || 0) +
-      (Number(ftm.BM_Priority_Drs_Coverage_Score) || 0);
-
-    const commitmentYTD =
-      (Number(ytd.Calls_Score) || 0) +
-      (Number(ytd.Team_Coverage_Score) || 0) +
-      (Number(ytd.Team_Compliance_Score) || 0) +
-      (Number(ytd.Corporate_Drs_Coverage_Score) || 0) +
-      (Number(ytd.Corporate_Drs_Active_Prescribers_Score) || 0) +
-      (Number(ytd.BM_Priority_Drs_Coverage_Score) || 0);
-
-    // =============================
-    // EFFICIENCY INDEX
-    // =============================
-    const efficiencyMonth = businessMonth + effortMonth + hygieneMonth + commitmentMonth;
-    const efficiencyYTD = businessYTD + effortYTD + hygieneYTD + commitmentYTD;
+    res.json(result);
+  } catch (error) {
+    console.error(`Error computing ${role} efficiency:`, error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+}
 
-    res.json({
-      businessMonth,
-      businessYTD,
-      effortMonth,
-      effortYTD,
-      hygieneMonth,
-      hygieneYTD,
-      commitmentMonth,
-      commitmentYTD,
-      efficiencyMonth,
-      efficiencyYTD
-    });
+// GET /efficiency/bl?Territory=...&Month=...&detail=true
+app.get('/efficiency/:role', authorizeTerritory(territoryFromQuery()), async (req, res) => {
+  const role = req.params.role.toLowerCase();
 
-  } catch (err) {
-    console.error("SBUH Efficiency error:", err);
-    res.status(500).json({ error: "Internal Server Error" });
+  if (!Object.hasOwn(DASHBOARD_ROLES, role) || !Object.hasOwn(SCORECARD_BASELINE, role)) {
+    return res.status(404).json({ error: `No scorecard for role: ${req.params.role}` });
   }
+
+  await sendEfficiency(res, role, {
+    territory: req.query.Territory || req.user.territory,
+    division: req.query.Division,
+    month: req.query.Month,
+    detail: req.query.detail === 'true',
+  });
 });
 
+const efficiencyAlias = (role) => (req, res) =>
+  sendEfficiency(res, role, {
+    territory: req.body.Territory || req.user.territory,
+    division: req.body.Division,
+    month: req.body.Month,
+    detail: req.body.detail === true,
+  });
 
+app.post('/bmEfficiency', authorizeTerritory(territoryFromBody()), efficiencyAlias('bm'));
+app.post('/blEfficiency', authorizeTerritory(territoryFromBody()), efficiencyAlias('bl'));
+app.post('/bhEfficiency', authorizeTerritory(territoryFromBody()), efficiencyAlias('bh'));
+app.post('/sbuhEfficiency', authorizeTerritory(territoryFromBody()), efficiencyAlias('sbuh'));
 
-app.post('/getDivisions', async (req, res) => {
+// BE score cards: effort / business bucket totals for a single period
+const beScoreTotals = (period, effortKey, businessKey) => async (req, res) => {
   try {
-    const { Territory } = req.body;
+    const { Month } = req.body;
+    const Territory = req.body.Territory || req.user.territory;
 
-    if (!Territory) {
-      return res.status(400).json({ error: "Territory is required" });
+    const row = await fetchDashboardRow('be', period, { territory: Territory, month: Month });
+    if (!row) {
+      return res.status(404).json({ message: "No record found for this Territory" });
     }
 
-    // 1️⃣ First check BH table
-    const [bhRows] = await pool.query(
-      `SELECT DISTINCT division 
-       FROM bgm_bh_dashboard_ftm 
-       WHERE BH_Territory = ? 
-       ORDER BY division`,
-      [Territory]
-    );
+    const scorecard = await getScorecard('be', Month);
+    const bucket = (key) => scorecard.buckets.find(b => b.key === key);
+    const total = (key) => (bucket(key) ? scoreBucket(bucket(key), row, period) : 0);
 
-    if (bhRows.length > 0) {
-      const divisions = bhRows.map(row => row.division).filter(Boolean);
-      return res.json({ divisions });
-    }
+    res.json({
+      [effortKey]: total('effort'),
+      [businessKey]: total('business'),
+    });
+  } catch (error) {
+    console.error(`Error fetching BE ${period} scores:`, error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
 
-    // 2️⃣ If nothing found, check SBUH table
-    const [sbuhRows] = await pool.query(
-      `SELECT DISTINCT division 
-       FROM bgm_sbuh_dashboard_ftm 
-       WHERE SBUH_Territory = ? 
-       ORDER BY division`,
-      [Territory]
-    );
+app.post('/dashboardYTD', authorizeTerritory(territoryFromBody()), beScoreTotals('ytd', 'totalScore1', 'totalScore2'));
+app.post('/dashboardFTD', authorizeTerritory(territoryFromBody()), beScoreTotals('ftm', 'totalScore3', 'totalScore4'));
 
-    const divisions = sbuhRows.map(row => row.division).filter(Boolean);
+// Scorecard history for a role: baseline plus every published version
+app.get('/scorecards/:role', async (req, res) => {
+  try {
+    const role = req.params.role.toLowerCase();
 
-    // 3️⃣ Return divisions (or empty array if none)
-    return res.json({ divisions });
+    if (!Object.hasOwn(SCORECARD_BASELINE, role)) {
+      return res.status(404).json({ error: `No scorecard for role: ${req.params.role}` });
+    }
 
-  } catch (error) {
-    console.error("Error fetching divisions:", error);
+    const versions = await getScorecardVersions(role);
+    res.json({ role, baseline: SCORECARD_BASELINE[role], versions });
+  } catch (err) {
+    console.error("Error /scorecards:", err);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
+// Publish a new scorecard version; older versions stay for history
+app.post('/admin/scorecards/:role', requireAdmin, async (req, res) => {
+  try {
+    const role = req.params.role.toLowerCase();
+    const { effectiveFrom, note, buckets } = req.body || {};
 
-// app.post("/hierarchy-kpi", async (req, res) => {
-//   try {
-//     const { empterr } = req.body;
+    if (!Object.hasOwn(SCORECARD_BASELINE, role)) {
+      return res.status(404).json({ error: `No scorecard for role: ${req.params.role}` });
+    }
+
+    if (effectiveFrom && !/^\d{4}-\d{2}$/.test(effectiveFrom)) {
+      return res.status(400).json({ error: "effectiveFrom must be a Period like 2026-04" });
+    }
+
+    const invalid = validateScorecard({ buckets });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO scorecard_versions (role, effective_from, definition, note, created_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [role, effectiveFrom || null, JSON.stringify({ buckets }), note || null, req.user.empCode]
+    );
+
+    scorecardCache.delete(role);
+    res.status(201).json({ success: true, version: result.insertId });
+  } catch (err) {
+    console.error("Error /admin/scorecards:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+
+// ---------- Trends (Period series) ----------
+// One call per chart: a territory's FTM / YTD scores or efficiency buckets
+// for every Period in [from, to], with deltas vs the previous month and vs
+// the same month last year.
+const MAX_TREND_MONTHS = 36;
+const PERIOD_PATTERN = /^\d{4}-\d{2}$/;
+
+function shiftPeriod(period, months) {
+  const [year, month] = period.split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1 + months, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+function periodRange(from, to) {
+  const periods = [];
+  for (let p = from; p <= to && periods.length <= MAX_TREND_MONTHS; p = shiftPeriod(p, 1)) {
+    periods.push(p);
+  }
+  return periods;
+}
+
+// Period may come back as 'YYYY-MM', 'YYYY-MM-DD' or a DATE
+function normalizePeriod(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+  }
+  return String(value || '').slice(0, 7);
+}
+
+// The same normalisation in SQL, so 'YYYY-MM' bounds keep their last month
+const PERIOD_MONTH_SQL = 'LEFT(Period, 7)';
+
+async function fetchDashboardRowsByPeriod(role, scope, { territory, division, from, to }) {
+  const config = DASHBOARD_ROLES[role];
+
+  let query = `SELECT * FROM ${config.tables[scope]} WHERE ${config.territoryColumn} = ?`;
+  let params = [territory];
+
+  if (division && config.division) {
+    query += ` AND division = ?`;
+    params.push(division);
+  }
+
+  query += ` AND ${PERIOD_MONTH_SQL} BETWEEN ? AND ? ORDER BY Period`;
+  params.push(from, to);
+
+  const [rows] = await pool.query(query, params);
+
+  const byPeriod = {};
+  for (const row of rows) {
+    const period = normalizePeriod(row.Period);
+    if (!byPeriod[period]) byPeriod[period] = row;
+  }
+  return byPeriod;
+}
+
+function pickNumeric(row, metrics) {
+  const values = {};
+  for (const key of metrics || Object.keys(row)) {
+    const n = row[key] === null || row[key] === undefined || row[key] === '' ? NaN : Number(row[key]);
+    if (Number.isFinite(n)) values[key] = n;
+  }
+  return values;
+}
+
+function diffValues(current, previous) {
+  if (!current || !previous) return null;
+
+  const delta = {};
+  for (const key of Object.keys(current)) {
+    if (previous[key] !== undefined) delta[key] = round2(current[key] - previous[key]);
+  }
+  return delta;
+}
+
+// GET /trends/bm/efficiency?Territory=...&from=2025-04&to=2026-03
+// GET /trends/be/ftm?Territory=...&from=...&to=...&metrics=Calls_Score,Coverage_Score
+app.get('/trends/:role/:series', authorizeTerritory(territoryFromQuery()), async (req, res) => {
+  try {
+    const role = req.params.role.toLowerCase();
+    const series = req.params.series.toLowerCase();
+    const config = Object.hasOwn(DASHBOARD_ROLES, role) ? DASHBOARD_ROLES[role] : null;
+
+    if (!config) {
+      return res.status(404).json({ error: `Unknown dashboard role: ${req.params.role}` });
+    }
+
+    if (series !== 'efficiency' && !Object.hasOwn(config.tables, series)) {
+      return res.status(404).json({ error: `Unknown trend series: ${req.params.series}` });
+    }
+
+    if (series === 'efficiency' && !Object.hasOwn(SCORECARD_BASELINE, role)) {
+      return res.status(404).json({ error: `No scorecard for role: ${req.params.role}` });
+    }
+
+    const territory = req.query.Territory || req.user.territory;
+    const division = req.query.Division;
+    const to = req.query.to || currentPeriod();
+    const from = req.query.from || shiftPeriod(to, -11);
+
+    if (!PERIOD_PATTERN.test(from) || !PERIOD_PATTERN.test(to) || from > to) {
+      return res.status(400).json({ error: "from and to must be Periods like 2026-03, with from <= to" });
+    }
+
+    const periods = periodRange(from, to);
+    if (periods.length > MAX_TREND_MONTHS) {
+      return res.status(400).json({ error: `A trend can span at most ${MAX_TREND_MONTHS} months` });
+    }
+
+    // Reach back a year so the first points get their year-on-year delta
+    const lookback = { territory, division, from: shiftPeriod(from, -12), to };
+    const metrics = req.query.metrics
+      ? String(req.query.metrics).split(',').map(m => m.trim()).filter(Boolean)
+      : null;
+
+    const valuesByPeriod = {};
+
+    if (series === 'efficiency') {
+      const [ftmRows, ytdRows] = await Promise.all([
+        fetchDashboardRowsByPeriod(role, 'ftm', lookback),
+        fetchDashboardRowsByPeriod(role, 'ytd', lookback),
+      ]);
+
+      for (const period of Object.keys(ftmRows)) {
+        if (!ytdRows[period]) continue;
+        const scorecard = await getScorecard(role, period);
+        const { scorecardVersion, ...scores } = scoreEfficiency(scorecard, ftmRows[period], ytdRows[period]);
+        valuesByPeriod[period] = scores;
+      }
+    } else {
+      const rows = await fetchDashboardRowsByPeriod(role, series, lookback);
+
+      for (const [period, row] of Object.entries(rows)) {
+        // Default to the *_Score columns; `metrics` picks any numeric column
+        const columns = metrics || Object.keys(row).filter(key => /_Score\d*$/.test(key));
+        valuesByPeriod[period] = pickNumeric(row, columns);
+      }
+    }
+
+    const points = periods.map(period => {
+      const values = valuesByPeriod[period] || null;
+      return {
+        Period: period,
+        values,
+        vsPreviousMonth: diffValues(values, valuesByPeriod[shiftPeriod(period, -1)]),
+        vsLastYear: diffValues(values, valuesByPeriod[shiftPeriod(period, -12)]),
+      };
+    });
+
+    res.json({ role, series, territory, division: division || null, from, to, points });
+  } catch (error) {
+    console.error("Error /trends:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+
+// ---------- Leaderboards ----------
+// GET /leaderboards/:role?Period=2026-03&scope=team|division|company
+//     &Territory=<team root>&Division=...&sortBy=efficiencyMonth&limit=50
+// Every territory of the role is scored from one FTM + one YTD query per
+// Period, then ranked inside the scope. Ties share a rank and the next rank
+// skips (1, 2, 2, 4). Movement compares with the same scope last Period;
+// positive means moved up. division / company boards show non-admins only
+// their own downline's rows (with their real ranks in the wider scope).
+const LEADERBOARD_SCOPES = ['team', 'division', 'company'];
+
+async function scoreRoleForPeriod(role, period) {
+  const config = DASHBOARD_ROLES[role];
+  const [[ftmRows], [ytdRows]] = await Promise.all([
+    pool.query(`SELECT * FROM ${config.tables.ftm} WHERE Period = ?`, [period]),
+    pool.query(`SELECT * FROM ${config.tables.ytd} WHERE Period = ?`, [period]),
+  ]);
+
+  const keyOf = (row) => `${String(row[config.territoryColumn]).trim()}|${config.division ? row.division || '' : ''}`;
+  const ytdByKey = new Map(ytdRows.map(row => [keyOf(row), row]));
+  const scorecard = await getScorecard(role, period);
+
+  return ftmRows
+    .filter(ftm => ytdByKey.has(keyOf(ftm)))
+    .map(ftm => {
+      const { scorecardVersion, ...scores } = scoreEfficiency(scorecard, ftm, ytdByKey.get(keyOf(ftm)));
+      return {
+        key: keyOf(ftm),
+        territory: String(ftm[config.territoryColumn]).trim(),
+        division: config.division ? ftm.division || null : null,
+        empCode: ftm.Emp_Code || null,
+        ftm,
+        scores,
+      };
+    });
+}
+
+// Competition ranking on `value` (higher is better); returns key -> rank
+function competitionRanks(entries) {
+  const sorted = entries
+    .filter(e => e.value !== null)
+    .sort((a, b) => b.value - a.value || a.territory.localeCompare(b.territory));
+
+  const ranks = new Map();
+  sorted.forEach((entry, i) => {
+    const prev = sorted[i - 1];
+    ranks.set(entry.key, prev && prev.value === entry.value ? ranks.get(prev.key) : i + 1);
+  });
+  return ranks;
+}
+
+app.get('/leaderboards/:role', async (req, res) => {
+  try {
+    const role = req.params.role.toLowerCase();
+    const period = req.query.Period || req.query.Month || currentPeriod();
+    const scope = (req.query.scope || 'team').toLowerCase();
+    const sortBy = req.query.sortBy || 'efficiencyMonth';
+    // No (or an invalid) ?limit means the whole board
+    const limit = /^\d+$/.test(req.query.limit || '') && Number(req.query.limit) > 0 ? Number(req.query.limit) : null;
+
+    if (!Object.hasOwn(DASHBOARD_ROLES, role) || !Object.hasOwn(SCORECARD_BASELINE, role)) {
+      return res.status(404).json({ error: `No scorecard for role: ${req.params.role}` });
+    }
+    if (!PERIOD_PATTERN.test(period)) {
+      return res.status(400).json({ error: "Period must be YYYY-MM" });
+    }
+    if (!LEADERBOARD_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of ${LEADERBOARD_SCOPES.join(', ')}` });
+    }
+
+    const index = await getOrganogramIndex();
+    let inScope = () => true;
+    let scopeInfo = {};
+
+    // Ranks are always computed over the whole scope, but outside the team
+    // scope non-admins only get their own row and their downline's rows
+    const visible = scope === 'team' || req.user.isAdmin ? null : await getDownline(req.user.territory);
+
+    if (scope === 'team') {
+      const root = req.query.Territory || req.user.territory;
+      if (!(await canAccessTerritory(req.user, root))) {
+        return res.status(403).json({ error: "You do not have access to this territory" });
+      }
+      const team = await getDownline(root);
+      inScope = (e) => team.has(e.territory);
+      scopeInfo = { Territory: root };
+    } else if (scope === 'division') {
+      const division = req.query.Division || req.user.division;
+      if (!division) {
+        return res.status(400).json({ error: "Division is required" });
+      }
+      inScope = (e) => (e.division || index.byTerritory.get(e.territory)?.Division) === division;
+      scopeInfo = { Division: division };
+    }
+
+    const includeVacant = req.query.includeVacant === 'true';
+    const previousPeriod = shiftPeriod(period, -1);
+
+    const [current, previous] = await Promise.all([
+      scoreRoleForPeriod(role, period),
+      scoreRoleForPeriod(role, previousPeriod),
+    ]);
+
+    // sortBy is a score (efficiencyMonth, <bucket>YTD, ...) or any numeric FTM column
+    const rawValue = (e) => {
+      if (Object.hasOwn(e.scores, sortBy)) return e.scores[sortBy];
+      return Object.hasOwn(e.ftm, sortBy) ? e.ftm[sortBy] : null;
+    };
+    const valueOf = (e) => {
+      const raw = rawValue(e);
+      return toNumber(raw) === null ? null : round2(raw);
+    };
+
+    if (current.length && !current.some(e => toNumber(rawValue(e)) !== null)) {
+      return res.status(400).json({ error: `Cannot rank by ${sortBy}` });
+    }
+
+    const population = (entries) => entries
+      .filter(inScope)
+      .filter(e => includeVacant || e.empCode !== 'Vacant')
+      .map(e => ({ ...e, value: valueOf(e) }));
+
+    const board = population(current);
+    const ranks = competitionRanks(board);
+    const previousRanks = competitionRanks(population(previous));
+
+    const entries = board
+      .filter(e => ranks.has(e.key))
+      .filter(e => !visible || visible.has(e.territory))
+      .sort((a, b) => ranks.get(a.key) - ranks.get(b.key) || a.territory.localeCompare(b.territory))
+      .map(e => {
+        const emp = index.byTerritory.get(e.territory);
+        const rank = ranks.get(e.key);
+        const previousRank = previousRanks.get(e.key) ?? null;
+        return {
+          rank,
+          previousRank,
+          movement: previousRank === null ? null : previousRank - rank,
+          territory: e.territory,
+          division: e.division || (emp && emp.Division) || null,
+          empName: emp ? emp.Emp_Name : e.ftm.Emp_Name || null,
+          value: e.value,
+          ...e.scores,
+        };
+      });
+
+    res.json({
+      role,
+      Period: period,
+      previousPeriod,
+      scope,
+      ...scopeInfo,
+      sortBy,
+      ranked: ranks.size,
+      total: entries.length,
+      entries: limit ? entries.slice(0, limit) : entries,
+    });
+  } catch (err) {
+    console.error("Error /leaderboards:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+
+app.post('/getDivisions', authorizeTerritory(territoryFromBody()), async (req, res) => {
+  try {
+    const Territory = req.body.Territory || req.user.territory;
+
+    // 1️⃣ First check BH table
+    const [bhRows] = await pool.query(
+      `SELECT DISTINCT division 
+       FROM bgm_bh_dashboard_ftm 
+       WHERE BH_Territory = ? 
+       ORDER BY division`,
+      [Territory]
+    );
+
+    if (bhRows.length > 0) {
+      const divisions = bhRows.map(row => row.division).filter(Boolean);
+      return res.json({ divisions });
+    }
+
+    // 2️⃣ If nothing found, check SBUH table
+    const [sbuhRows] = await pool.query(
+      `SELECT DISTINCT division 
+       FROM bgm_sbuh_dashboard_ftm 
+       WHERE SBUH_Territory = ? 
+       ORDER BY division`,
+      [Territory]
+    );
+
+    const divisions = sbuhRows.map(row => row.division).filter(Boolean);
+
+    // 3️⃣ Return divisions (or empty array if none)
+    return res.json({ divisions });
+
+  } catch (error) {
+    console.error("Error fetching divisions:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+
+// app.post("/hierarchy-kpi", async (req, res) => {
+//   try {
+//     const { empterr } = req.body;
 //     if (!empterr) return res.status(400).send("empterr is required");
 
 //     // 1. Build hierarchy using recursive CTE
@@ -1971,10 +2698,90 @@ app.post('/getDivisions', async (req, res) => {
 
 
 
-// ---------- Escalations insert ----------
+// ---------- Escalations ----------
+// An escalation is assigned to the raiser's manager (Area_Name in the
+// organogram, skipping vacant positions). If the assignee doesn't move it
+// out of open / escalated within ESCALATION_SLA_HOURS it is pushed one
+// level further up the chain. escalation_events keeps the full trail.
+const ESCALATION_STATUSES = ['open', 'in_progress', 'resolved', 'escalated'];
+const ACTIVE_ESCALATION_STATUSES = ['open', 'in_progress', 'escalated'];
+
+const ESCALATION_TRANSITIONS = {
+  open: ['in_progress', 'resolved', 'escalated'],
+  in_progress: ['resolved', 'escalated'],
+  escalated: ['in_progress', 'resolved', 'escalated'],
+  resolved: [],
+};
+
+const ESCALATION_SLA_HOURS = Number(process.env.ESCALATION_SLA_HOURS || 48);
+const ESCALATION_CHECK_INTERVAL_MINUTES = Number(process.env.ESCALATION_CHECK_INTERVAL_MINUTES || 15);
+
+// Nearest filled position above this territory, or null at the top
+async function findManager(territory) {
+  const index = await getOrganogramIndex();
+  const start = String(territory || '').trim();
+  const seen = new Set([start]);
+  let current = index.byTerritory.get(start);
+
+  while (current && current.Area_Name) {
+    const parentTerr = String(current.Area_Name).trim();
+    if (seen.has(parentTerr)) return null; // cycle in organogram
+    seen.add(parentTerr);
+
+    const parent = index.byTerritory.get(parentTerr);
+    if (!parent) return null;
+    if (parent.Emp_Code !== 'Vacant') return parent;
+    current = parent;
+  }
+
+  return null;
+}
+
+async function recordEscalationEvent(db, escalationId, { event, fromStatus, toStatus, assignee, note, actor }) {
+  await db.query(
+    `INSERT INTO escalation_events
+     (escalation_id, event, from_status, to_status, assignee_territory, note, actor_code, actor_name)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      escalationId,
+      event,
+      fromStatus || null,
+      toStatus || null,
+      assignee ? String(assignee.Territory).trim() : null,
+      note || null,
+      actor.empCode || null,
+      actor.empName || null,
+    ]
+  );
+}
+
+// Moves an escalation to the next manager above its current assignee.
+// Returns the new assignee, or null if there is nobody higher.
+async function escalateFurther(db, escalation, { note, actor, event }) {
+  const next = await findManager(escalation.assignee_territory);
+  if (!next) return null;
+
+  await db.query(
+    `UPDATE escalations
+     SET status = 'escalated', assignee_territory = ?, assignee_code = ?, assignee_name = ?,
+         level = level + 1, assigned_at = NOW()
+     WHERE id = ?`,
+    [String(next.Territory).trim(), next.Emp_Code, next.Emp_Name, escalation.id]
+  );
+  await recordEscalationEvent(db, escalation.id, {
+    event,
+    fromStatus: escalation.status,
+    toStatus: 'escalated',
+    assignee: next,
+    note,
+    actor,
+  });
 
+  return next;
+}
 
 app.post('/putEscalations', async (req, res) => {
+  let conn;
   try {
     const dataToInsert = req.body;
     const dataArray = Array.isArray(dataToInsert) ? dataToInsert : [dataToInsert];
@@ -1983,40 +2790,278 @@ app.post('/putEscalations', async (req, res) => {
       return res.status(400).send('No data received');
     }
 
-    const values = dataArray.map(row => [
-      row.metric,
-      row.message,
-      row.role,
-      row.employee_name,
-      row.territory_code,
-      row.employee_code,
-      row.entry_date
-    ]);
+    const manager = await findManager(req.user.territory);
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    // The escalating employee is always the logged-in caller
+    for (const row of dataArray) {
+      const [result] = await conn.query(
+        `INSERT INTO escalations (
+           metric,
+           message,
+           role,
+           employee_name,
+           territory_code,
+           employee_code,
+           entry_date,
+           status,
+           assignee_territory,
+           assignee_code,
+           assignee_name,
+           level,
+           assigned_at
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, 'open', ?, ?, ?, 1, NOW())`,
+        [
+          row.metric,
+          row.message,
+          req.user.role,
+          req.user.empName,
+          req.user.territory,
+          req.user.empCode,
+          row.entry_date,
+          manager ? String(manager.Territory).trim() : null,
+          manager ? manager.Emp_Code : null,
+          manager ? manager.Emp_Name : null,
+        ]
+      );
 
-    const query = `
-      INSERT INTO escalations (
-        metric,
-        message,
-        role,
-        employee_name,
-        territory_code,
-        employee_code,
-        entry_date
-      ) VALUES ?
-    `;
+      await recordEscalationEvent(conn, result.insertId, {
+        event: 'created',
+        toStatus: 'open',
+        assignee: manager,
+        actor: req.user,
+      });
+    }
 
-    await pool.query(query, [values]);
+    await conn.commit();
     return res.status(201).send('success');
   } catch (err) {
+    if (conn) await conn.rollback().catch(() => {});
     console.error('Error /putEscalations:', err);
     return res.status(500).send('Internal Server Error');
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// GET /escalations?assignee=<territory>&status=open
+// Defaults to the caller's own queue; admins without ?assignee see all.
+app.get('/escalations', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const assignee = req.query.assignee || (req.user.isAdmin ? null : req.user.territory);
+
+    if (assignee && !(await canAccessTerritory(req.user, assignee))) {
+      return res.status(403).json({ error: "You do not have access to this territory" });
+    }
+
+    if (status && !ESCALATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${ESCALATION_STATUSES.join(', ')}` });
+    }
+
+    let query = `SELECT * FROM escalations WHERE 1 = 1`;
+    let params = [];
+
+    if (assignee) {
+      query += ` AND assignee_territory = ?`;
+      params.push(assignee);
+    }
+
+    if (status) {
+      query += ` AND status = ?`;
+      params.push(status);
+    }
+
+    query += ` ORDER BY assigned_at DESC, id DESC`;
+
+    const [rows] = await pool.query(query, params);
+    res.json(rows);
+  } catch (err) {
+    console.error("Error /escalations:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+async function canAccessEscalation(user, escalation) {
+  return await canAccessTerritory(user, escalation.assignee_territory)
+    || await canAccessTerritory(user, escalation.territory_code);
+}
+
+app.get('/escalations/:id', async (req, res) => {
+  try {
+    const [rows] = await pool.query(`SELECT * FROM escalations WHERE id = ? LIMIT 1`, [req.params.id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Escalation not found" });
+    }
+
+    if (!(await canAccessEscalation(req.user, rows[0]))) {
+      return res.status(403).json({ error: "You do not have access to this escalation" });
+    }
+
+    const [events] = await pool.query(
+      `SELECT * FROM escalation_events WHERE escalation_id = ? ORDER BY created_at, id`,
+      [req.params.id]
+    );
+
+    res.json({ ...rows[0], events });
+  } catch (err) {
+    console.error("Error /escalations/:id:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// PUT /escalations/:id { status, note }
+// Only the assignee (or someone above them) can work an escalation.
+app.put('/escalations/:id', async (req, res) => {
+  let conn;
+  try {
+    const { status, note } = req.body || {};
+
+    if (!ESCALATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${ESCALATION_STATUSES.join(', ')}` });
+    }
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT * FROM escalations WHERE id = ? LIMIT 1 FOR UPDATE`,
+      [req.params.id]
+    );
+
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: "Escalation not found" });
+    }
+
+    const escalation = rows[0];
+
+    if (!(await canAccessTerritory(req.user, escalation.assignee_territory))) {
+      await conn.rollback();
+      return res.status(403).json({ error: "Only the assignee or their managers can update this escalation" });
+    }
+
+    const allowed = ESCALATION_TRANSITIONS[escalation.status] || [];
+    if (!allowed.includes(status)) {
+      await conn.rollback();
+      return res.status(409).json({ error: `Cannot move a ${escalation.status} escalation to ${status}`, allowed });
+    }
+
+    if (status === 'escalated') {
+      const next = await escalateFurther(conn, escalation, { note, actor: req.user, event: 'escalated' });
+      if (!next) {
+        await conn.rollback();
+        return res.status(409).json({ error: "There is no one above the current assignee to escalate to" });
+      }
+    } else {
+      await conn.query(
+        `UPDATE escalations
+         SET status = ?, resolved_at = ${status === 'resolved' ? 'NOW()' : 'resolved_at'}, resolution = COALESCE(?, resolution)
+         WHERE id = ?`,
+        [status, status === 'resolved' ? note || null : null, escalation.id]
+      );
+      await recordEscalationEvent(conn, escalation.id, {
+        event: 'status',
+        fromStatus: escalation.status,
+        toStatus: status,
+        note,
+        actor: req.user,
+      });
+    }
+
+    await conn.commit();
+
+    const [updated] = await pool.query(`SELECT * FROM escalations WHERE id = ? LIMIT 1`, [escalation.id]);
+    res.json(updated[0]);
+  } catch (err) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error("Error PUT /escalations/:id:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  } finally {
+    if (conn) conn.release();
   }
 });
 
+// Escalations still open / escalated after the SLA move up one level.
+// in_progress means someone picked it up, so the clock stops there.
+async function autoEscalateOverdue() {
+  const [rows] = await pool.query(
+    `SELECT * FROM escalations
+     WHERE status IN ('open', 'escalated')
+       AND assignee_territory IS NOT NULL
+       AND assigned_at < NOW() - INTERVAL ? HOUR`,
+    [ESCALATION_SLA_HOURS]
+  );
+
+  let escalated = 0;
+  for (const escalation of rows) {
+    const next = await escalateFurther(pool, escalation, {
+      note: `Not handled within ${ESCALATION_SLA_HOURS}h`,
+      actor: { empName: 'sla' },
+      event: 'auto_escalated',
+    });
+    if (next) escalated++;
+  }
+
+  return { overdue: rows.length, escalated };
+}
+
+// Escalations raised before assignment existed have no assignee, so nobody
+// sees them and the SLA never fires. Give each active one the raiser's
+// manager once, with the SLA clock starting now rather than at entry.
+async function backfillEscalationAssignees() {
+  const [rows] = await pool.query(
+    `SELECT * FROM escalations WHERE assignee_territory IS NULL AND status IN (?)`,
+    [ACTIVE_ESCALATION_STATUSES]
+  );
+
+  let assigned = 0;
+  for (const escalation of rows) {
+    const manager = await findManager(escalation.territory_code);
+    if (!manager) continue;
+
+    const [result] = await pool.query(
+      `UPDATE escalations
+       SET assignee_territory = ?, assignee_code = ?, assignee_name = ?, assigned_at = NOW()
+       WHERE id = ? AND assignee_territory IS NULL`,
+      [String(manager.Territory).trim(), manager.Emp_Code, manager.Emp_Name, escalation.id]
+    );
+    if (!result.affectedRows) continue;
+
+    await recordEscalationEvent(pool, escalation.id, {
+      event: 'backfilled',
+      fromStatus: escalation.status,
+      toStatus: escalation.status,
+      assignee: manager,
+      note: "Assigned to the raiser's manager",
+      actor: { empName: 'backfill' },
+    });
+    assigned++;
+  }
+
+  return { unassigned: rows.length, assigned };
+}
+
+function startEscalationMonitor() {
+  if (!(ESCALATION_CHECK_INTERVAL_MINUTES > 0) || !(ESCALATION_SLA_HOURS > 0)) return;
+
+  const run = () => autoEscalateOverdue()
+    .then(({ escalated }) => {
+      if (escalated) console.log(`Auto-escalated ${escalated} overdue escalation(s)`);
+    })
+    .catch(err => console.error("Error auto-escalating:", err));
+
+  setInterval(run, ESCALATION_CHECK_INTERVAL_MINUTES * 60 * 1000).unref();
+  run();
+}
+
 // ------------------------------------temporary regarding only be data
 
 // ---------- Get commitments by territory ----------
-app.get("/getData/:territory", async (req, res) => {
+app.get("/getData/:territory", authorizeTerritory(territoryFromParams()), async (req, res) => {
   try {
     const territory = req.params.territory;
     const { Month } = req.query;
@@ -2032,7 +3077,9 @@ app.get("/getData/:territory", async (req, res) => {
         goal,
         DATE_FORMAT(received_date, '%Y-%m-%d') AS received_date,
         DATE_FORMAT(goal_date, '%Y-%m-%d') AS goal_date,
-        DATE_FORMAT(receiver_commit_date, '%Y-%m-%d') AS receiver_commit_date
+        DATE_FORMAT(receiver_commit_date, '%Y-%m-%d') AS receiver_commit_date,
+        status,
+        actual_value
       FROM commitments
       WHERE receiver_territory = ?
     `;
@@ -2048,355 +3095,2144 @@ app.get("/getData/:territory", async (req, res) => {
 
     const [rows] = await pool.query(query, params);
 
+    if (req.query.history === 'true') {
+      const history = await fetchCommitmentRevisions(rows.map(r => r.id));
+      return res.json(rows.map(r => ({ ...r, history: history.get(Number(r.id)) })));
+    }
+
     res.json(rows);
   } catch (err) {
-    console.error("Error fetching commitments:", err);
-    res.status(500).send("Server error");
+    console.error("Error fetching commitments:", err);
+    res.status(500).send("Server error");
+  }
+});
+
+// ---------- Commitments sent (sender view) ----------
+// What a territory asked its team for, grouped by receiver + metric.
+// BL / BH / SBUH (or ?rollup=true) cover everything sent from their
+// whole subtree, not just their own requests.
+const COMMITMENT_ROLLUP_ROLES = ['BL', 'BH', 'SBUH'];
+
+function summarizeCommitments(rows, today) {
+  const total = rows.length;
+  const responded = rows.filter(r => r.receiver_commit_date).length;
+  const overdue = rows.filter(r => !r.receiver_commit_date && r.goal_date && r.goal_date < today).length;
+
+  return {
+    total,
+    responded,
+    missingCommitDate: total - responded,
+    overdue,
+    responseRate: total ? round2((responded / total) * 100) : null,
+  };
+}
+
+app.get('/commitments/sent/:territory', authorizeTerritory(territoryFromParams()), async (req, res) => {
+  try {
+    const territory = req.params.territory;
+    const { Month } = req.query;
+
+    const index = await getOrganogramIndex();
+    const emp = index.byTerritory.get(String(territory).trim());
+    const rollupWanted = req.query.rollup !== undefined
+      ? req.query.rollup === 'true'
+      : Boolean(emp && COMMITMENT_ROLLUP_ROLES.includes(String(emp.Role).toUpperCase()));
+
+    const senders = rollupWanted ? [...await getDownline(territory)] : [territory];
+
+    let query = `
+      SELECT
+        id,
+        metric,
+        sender,
+        sender_territory,
+        receiver,
+        receiver_territory,
+        commitment,
+        goal,
+        status,
+        DATE_FORMAT(received_date, '%Y-%m-%d') AS received_date,
+        DATE_FORMAT(goal_date, '%Y-%m-%d') AS goal_date,
+        DATE_FORMAT(receiver_commit_date, '%Y-%m-%d') AS receiver_commit_date
+      FROM commitments
+      WHERE sender_territory IN (?)
+    `;
+    let params = [senders];
+
+    if (Month) {
+      query += ` AND received_date LIKE ?`;
+      params.push(`${Month}%`);
+    }
+
+    query += ` ORDER BY received_date DESC`;
+
+    const [rows] = await pool.query(query, params);
+
+    // 'YYYY-MM-DD' strings compare correctly as text
+    const today = new Date().toISOString().slice(0, 10);
+
+    const groups = new Map();
+    for (const row of rows) {
+      const key = `${row.receiver_territory}|${row.metric}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          receiver: row.receiver,
+          receiver_territory: row.receiver_territory,
+          metric: row.metric,
+          commitments: [],
+        });
+      }
+      groups.get(key).commitments.push(row);
+    }
+
+    const bySender = {};
+    if (rollupWanted) {
+      for (const row of rows) {
+        (bySender[row.sender_territory] = bySender[row.sender_territory] || []).push(row);
+      }
+      for (const sender of Object.keys(bySender)) {
+        bySender[sender] = summarizeCommitments(bySender[sender], today);
+      }
+    }
+
+    res.json({
+      territory,
+      rollup: rollupWanted,
+      summary: summarizeCommitments(rows, today),
+      ...(rollupWanted ? { bySender } : {}),
+      groups: [...groups.values()].map(g => ({
+        receiver: g.receiver,
+        receiver_territory: g.receiver_territory,
+        metric: g.metric,
+        ...summarizeCommitments(g.commitments, today),
+        commitments: g.commitments,
+      })),
+    });
+  } catch (err) {
+    console.error("Error /commitments/sent:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// ---------- Report engine ----------
+// Report types live in reports.json:
+//   table, label
+//   territoryColumn / periodColumn    default 'territory' / 'period'
+//   hidden: [...]                     never returned (the old EXCLUDED_COLS)
+//   columns: { col: { label, type } } optional whitelist; otherwise every
+//                                     table column that isn't hidden
+//   sortable / filterable: [...]      default: every visible column
+//   defaultSort: 'period:desc,territory'
+// Columns are discovered from information_schema, so a new report table is
+// exposed by adding an entry here. Whitelisted columns the table lacks are
+// skipped with a warning.
+const REPORT_TYPES = require('./reports.json');
+
+for (const [type, def] of Object.entries(REPORT_TYPES)) {
+  if (!/^\w+$/.test(def.table || '')) {
+    throw new Error(`reports.json: "${type}" needs a plain table name`);
+  }
+  if (def.columns && !def.columns[def.territoryColumn || 'territory']) {
+    throw new Error(`reports.json: "${type}" must list its territory column`);
+  }
+}
+
+const REPORT_COLUMNS_CACHE_TTL_MS = Number(process.env.REPORT_COLUMNS_CACHE_TTL_MS || 10 * 60 * 1000);
+const REPORT_PAGE_SIZE = 100;
+const REPORT_MAX_PAGE_SIZE = 1000;
+const REPORT_EXPORT_FORMATS = ['csv', 'xlsx'];
+const REPORT_FILTER_OPS = ['>=', '<=', '!=', '>', '<'];
+
+const reportColumnsCache = new Map();
+const reportColumnsWarned = new Set();
+
+const NUMERIC_TYPES = ['tinyint', 'smallint', 'mediumint', 'int', 'bigint', 'decimal', 'float', 'double'];
+const DATE_TYPES = ['date', 'datetime', 'timestamp'];
+
+const columnHeader = (key) => String(key).replace(/_/g, ' ').trim();
+
+async function getTableColumns(table) {
+  const cached = reportColumnsCache.get(table);
+  if (cached && Date.now() - cached.loadedAt < REPORT_COLUMNS_CACHE_TTL_MS) return cached.columns;
+
+  const [rows] = await pool.query(
+    `SELECT COLUMN_NAME AS name, DATA_TYPE AS dataType
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+     ORDER BY ORDINAL_POSITION`,
+    [table]
+  );
+
+  const columns = rows.map(r => ({
+    name: r.name,
+    type: NUMERIC_TYPES.includes(String(r.dataType).toLowerCase()) ? 'number'
+      : DATE_TYPES.includes(String(r.dataType).toLowerCase()) ? 'date'
+      : 'string',
+  }));
+
+  reportColumnsCache.set(table, { loadedAt: Date.now(), columns });
+  return columns;
+}
+
+// Whitelisted columns of a report type with labels, types and capabilities
+async function describeReport(type) {
+  const def = REPORT_TYPES[type];
+  const hidden = new Set(def.hidden || []);
+  const tableColumns = await getTableColumns(def.table);
+
+  if (def.columns) {
+    const present = new Set(tableColumns.map(c => c.name));
+    const missing = Object.keys(def.columns).filter(name => !present.has(name));
+    const warnKey = `${type}:${missing.join(',')}`;
+    if (missing.length && !reportColumnsWarned.has(warnKey)) {
+      reportColumnsWarned.add(warnKey);
+      console.warn(`reports.json: ${def.table} has no column(s) ${missing.join(', ')}; skipping them`);
+    }
+  }
+
+  const visible = def.columns
+    ? tableColumns.filter(c => def.columns[c.name])
+    : tableColumns.filter(c => !hidden.has(c.name));
+
+  const columns = visible.map(c => {
+    const config = (def.columns && def.columns[c.name]) || {};
+    return {
+      key: c.name,
+      label: config.label || columnHeader(c.name),
+      type: config.type || c.type,
+      sortable: !def.sortable || def.sortable.includes(c.name),
+      filterable: !def.filterable || def.filterable.includes(c.name),
+    };
+  });
+
+  return {
+    type,
+    label: def.label || type,
+    table: def.table,
+    territoryColumn: def.territoryColumn || 'territory',
+    periodColumn: def.periodColumn || 'period',
+    defaultSort: def.defaultSort || null,
+    tableColumns: new Set(tableColumns.map(c => c.name)),
+    columns,
+  };
+}
+
+const quoteId = (name) => `\`${String(name).replace(/`/g, '``')}\``;
+
+// 'period:desc,territory' -> [{ column, dir }]
+function parseSort(value) {
+  return String(value || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [column, dir = 'asc'] = part.split(':');
+      return { column: column.trim(), dir: dir.trim().toLowerCase() };
+    });
+}
+
+// ?filter[Calls]=>=10&filter[status]=Active  (Express 5 leaves these as flat keys)
+function parseReportFilters(query) {
+  const filters = [];
+  for (const [key, raw] of Object.entries(query)) {
+    const match = key.match(/^filter\[(.+)\]$/);
+    if (!match) continue;
+
+    const value = String(raw);
+    const op = REPORT_FILTER_OPS.find(o => value.startsWith(o));
+    filters.push({ column: match[1], op: op || '=', value: op ? value.slice(op.length) : value });
+  }
+  return filters;
+}
+
+const reportInputError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const REPORT_MODES = ['flat', 'aggregate'];
+
+// WHERE clause shared by the flat and aggregate queries
+async function reportWhere(report, req, visible, downline) {
+  const q = req.query;
+  const territory = req.params.territory;
+  const where = [`${quoteId(report.territoryColumn)} IN (?)`];
+  const params = [downline ? [...await getDownline(territory)] : [territory]];
+
+  if (report.tableColumns.has(report.periodColumn)) {
+    const period = quoteId(report.periodColumn);
+    if (q.period) {
+      where.push(`${period} = ?`);
+      params.push(q.period);
+    }
+    if (q.from) {
+      where.push(`${period} >= ?`);
+      params.push(q.from);
+    }
+    if (q.to) {
+      where.push(`${period} <= ?`);
+      params.push(q.to);
+    }
+  }
+
+  for (const filter of parseReportFilters(q)) {
+    const column = visible.get(filter.column);
+    if (!column || !column.filterable) {
+      throw reportInputError(`Cannot filter on ${filter.column}`);
+    }
+    where.push(`${quoteId(filter.column)} ${filter.op} ?`);
+    params.push(filter.value);
+  }
+
+  return { whereSql: `WHERE ${where.join(' AND ')}`, params };
+}
+
+// Team reports carry who each territory belongs to, from the organogram
+const EMPLOYEE_COLUMNS = [
+  { key: 'employee', label: 'Employee', type: 'string' },
+  { key: 'role', label: 'Role', type: 'string' },
+];
+
+async function employeeDecorator(report) {
+  const index = await getOrganogramIndex();
+  return (row) => {
+    const emp = index.byTerritory.get(String(row[report.territoryColumn] || '').trim());
+    return { ...row, employee: emp ? emp.Emp_Name : null, role: emp ? emp.Role : null };
+  };
+}
+
+function reportPaging(q) {
+  const page = Math.max(1, Number(q.page) || 1);
+  const pageSize = Math.min(Math.max(1, Number(q.pageSize) || REPORT_PAGE_SIZE), REPORT_MAX_PAGE_SIZE);
+  return { page, pageSize, limitSql: ` LIMIT ? OFFSET ?`, limitParams: [pageSize, (page - 1) * pageSize] };
+}
+
+// Turns a request into SQL for a report; bad input throws with status 400.
+// ?mode=aggregate returns one row per territory with count, totals and
+// averages of the numeric columns instead of the raw rows.
+async function buildReportQuery(report, req, { paged, downline = req.query.downline === 'true' }) {
+  const q = req.query;
+  const visible = new Map(report.columns.map(c => [c.key, c]));
+  const mode = q.mode || 'flat';
+
+  if (!REPORT_MODES.includes(mode)) {
+    throw reportInputError(`mode must be one of ${REPORT_MODES.join(', ')}`);
+  }
+
+  let selected = q.columns ? String(q.columns).split(',').map(c => c.trim()).filter(Boolean) : [...visible.keys()];
+  const unknown = selected.filter(c => !visible.has(c));
+  if (unknown.length) {
+    throw reportInputError(`Unknown column(s): ${unknown.join(', ')}`);
+  }
+  if (selected.length === 0) {
+    throw reportInputError("No columns to return");
+  }
+
+  const { whereSql, params } = await reportWhere(report, req, visible, downline);
+  const paging = paged ? reportPaging(q) : null;
+  const table = quoteId(report.table);
+  const territoryId = quoteId(report.territoryColumn);
+
+  if (mode === 'aggregate') {
+    const numeric = selected.filter(c => visible.get(c).type === 'number' && c !== report.territoryColumn);
+    if (numeric.length === 0) {
+      throw reportInputError("No numeric columns to aggregate");
+    }
+
+    const aggregates = numeric.flatMap(c => [
+      `SUM(${quoteId(c)}) AS ${quoteId(`${c}_total`)}`,
+      `ROUND(AVG(${quoteId(c)}), 2) AS ${quoteId(`${c}_avg`)}`,
+    ]);
+
+    return {
+      query: `SELECT ${territoryId}, COUNT(*) AS row_count, ${aggregates.join(', ')}
+              FROM ${table} ${whereSql}
+              GROUP BY ${territoryId}
+              ORDER BY ${territoryId}${paging ? paging.limitSql : ''}`,
+      params: paging ? [...params, ...paging.limitParams] : params,
+      countQuery: `SELECT COUNT(DISTINCT ${territoryId}) AS total FROM ${table} ${whereSql}`,
+      countParams: params,
+      columns: [
+        { key: report.territoryColumn, label: 'Territory', type: 'string' },
+        ...EMPLOYEE_COLUMNS,
+        { key: 'row_count', label: 'Rows', type: 'number' },
+        ...numeric.flatMap(c => [
+          { key: `${c}_total`, label: `${visible.get(c).label} (total)`, type: 'number' },
+          { key: `${c}_avg`, label: `${visible.get(c).label} (avg)`, type: 'number' },
+        ]),
+      ],
+      decorate: await employeeDecorator(report),
+      downline,
+      mode,
+      page: paging && paging.page,
+      pageSize: paging && paging.pageSize,
+    };
+  }
+
+  // Team reports always say whose row it is
+  if (downline && !selected.includes(report.territoryColumn)) {
+    selected = [report.territoryColumn, ...selected];
+  }
+
+  const sort = parseSort(q.sort || report.defaultSort);
+  for (const s of sort) {
+    const column = visible.get(s.column);
+    if (!column || !column.sortable || !['asc', 'desc'].includes(s.dir)) {
+      throw reportInputError(`Cannot sort on ${s.column}${s.dir ? `:${s.dir}` : ''}`);
+    }
+  }
+  if (downline && !sort.some(s => s.column === report.territoryColumn)) {
+    sort.push({ column: report.territoryColumn, dir: 'asc' });
+  }
+
+  let query = `SELECT ${selected.map(quoteId).join(', ')} FROM ${table} ${whereSql}`;
+  if (sort.length) {
+    query += ` ORDER BY ${sort.map(s => `${quoteId(s.column)} ${s.dir.toUpperCase()}`).join(', ')}`;
+  }
+  if (paging) query += paging.limitSql;
+
+  let columns = selected.map(key => visible.get(key) || { key, label: columnHeader(key), type: 'string' });
+  if (downline) {
+    const at = columns.findIndex(c => c.key === report.territoryColumn) + 1;
+    columns = [...columns.slice(0, at), ...EMPLOYEE_COLUMNS, ...columns.slice(at)];
+  }
+
+  return {
+    query,
+    params: paging ? [...params, ...paging.limitParams] : params,
+    countQuery: `SELECT COUNT(*) AS total FROM ${table} ${whereSql}`,
+    countParams: params,
+    columns,
+    decorate: downline ? await employeeDecorator(report) : null,
+    downline,
+    mode,
+    page: paging && paging.page,
+    pageSize: paging && paging.pageSize,
+  };
+}
+
+function exportValue(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (Buffer.isBuffer(value)) return value.toString();
+  return value;
+}
+
+// DECIMAL columns arrive as strings; make them real numbers in Excel
+// (but leave codes like '00123' alone)
+function xlsxValue(value) {
+  value = exportValue(value);
+  return typeof value === 'string' && /^-?(0|[1-9]\d*)(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+function csvCell(value) {
+  value = exportValue(value);
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  // Stop spreadsheet apps treating text cells as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Resolves true once the response drains, false if the client went away
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const finish = (ok) => () => {
+      res.off('drain', onDrain);
+      res.off('close', onGone);
+      res.off('error', onGone);
+      resolve(ok);
+    };
+    const onDrain = finish(true);
+    const onGone = finish(false);
+    res.once('drain', onDrain);
+    res.once('close', onGone);
+    res.once('error', onGone);
+  });
+}
+
+// ASCII fallback plus RFC 5987 filename* for anything else
+function attachmentHeader(filename) {
+  const fallback = filename.replace(/[^A-Za-z0-9._-]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Streams straight from MySQL to the response, one row at a time. The
+// query runs on its own connection so a client that disconnects mid-way
+// can be cut off: the connection is destroyed instead of left paused.
+async function sendReportExport(req, res, report, built) {
+  const format = String(req.query.format).toLowerCase();
+  const stamp = new Date().toISOString().slice(0, 10);
+  const scope = `${built.downline ? '_team' : ''}${built.mode === 'aggregate' ? '_summary' : ''}`;
+  const filename = `${report.table}_${req.params.territory}${scope}_${stamp}.${format}`;
+  const { columns } = built;
+
+  const conn = await pool.getConnection();
+
+  res.setHeader('Content-Disposition', attachmentHeader(filename));
+
+  let sheet = null;
+  let workbook = null;
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.write('\uFEFF' + columns.map(c => csvCell(c.label)).join(',') + '\r\n');
+  } else {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    sheet = workbook.addWorksheet(report.label.slice(0, 31));
+    sheet.columns = columns.map(c => ({ header: c.label, key: c.key, width: Math.max(12, c.label.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+  }
+
+  const stream = conn.connection.query(built.query, built.params).stream();
+  let completed = false;
+
+  try {
+    for await (const raw of stream) {
+      if (res.destroyed) return;
+
+      const row = built.decorate ? built.decorate(raw) : raw;
+      if (format === 'csv') {
+        if (!res.write(columns.map(c => csvCell(row[c.key])).join(',') + '\r\n') && !(await waitForDrain(res))) {
+          return;
+        }
+      } else {
+        sheet.addRow(Object.fromEntries(columns.map(c => [c.key, xlsxValue(row[c.key])]))).commit();
+        // The workbook pipes into res, so its backlog shows up there too
+        if (res.writableNeedDrain && !(await waitForDrain(res))) {
+          return;
+        }
+      }
+    }
+    completed = true;
+
+    if (format === 'csv') {
+      res.end();
+    } else {
+      await sheet.commit();
+      await workbook.commit();
+    }
+  } catch (err) {
+    // Headers are gone by now; all we can do is cut the download off
+    console.error(`Error exporting ${report.table}:`, err);
+    res.destroy(err);
+  } finally {
+    if (completed) {
+      conn.release();
+    } else {
+      stream.destroy();
+      conn.destroy();
+    }
+  }
+}
+
+// legacy: plain array of every matching row, as the old routes returned
+async function runReport(req, res, type, { legacy = false, downline } = {}) {
+  const report = await describeReport(type);
+
+  if (req.query.format && !REPORT_EXPORT_FORMATS.includes(String(req.query.format).toLowerCase())) {
+    return res.status(400).json({ error: `format must be one of ${REPORT_EXPORT_FORMATS.join(', ')}` });
+  }
+
+  let built;
+  try {
+    built = await buildReportQuery(report, req, { paged: !legacy && !req.query.format, downline });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    throw err;
+  }
+
+  if (req.query.format) return sendReportExport(req, res, report, built);
+
+  const [found] = await pool.query(built.query, built.params);
+  const rows = built.decorate ? found.map(built.decorate) : found;
+  if (legacy) return res.json(rows);
+
+  const [[{ total }]] = await pool.query(built.countQuery, built.countParams);
+
+  res.json({
+    type,
+    label: report.label,
+    mode: built.mode,
+    columns: built.columns.map(({ key, label, type }) => ({ key, label, type })),
+    page: built.page,
+    pageSize: built.pageSize,
+    total: Number(total),
+    rows,
+  });
+}
+
+app.get('/reports', (req, res) => {
+  res.json(Object.entries(REPORT_TYPES).map(([type, def]) => ({ type, label: def.label || type })));
+});
+
+app.get('/reports/:type/columns', async (req, res) => {
+  try {
+    if (!Object.hasOwn(REPORT_TYPES, req.params.type)) {
+      return res.status(404).json({ error: `Unknown report type: ${req.params.type}` });
+    }
+    const { type, label, columns, defaultSort } = await describeReport(req.params.type);
+    res.json({ type, label, defaultSort, columns });
+  } catch (err) {
+    console.error("Error /reports/:type/columns:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// GET /reports/day/team?mode=aggregate - the caller's whole downline
+app.get('/reports/:type/team', async (req, res) => {
+  try {
+    if (!Object.hasOwn(REPORT_TYPES, req.params.type)) {
+      return res.status(404).json({ error: `Unknown report type: ${req.params.type}` });
+    }
+    req.params.territory = req.user.territory;
+    await runReport(req, res, req.params.type, { downline: true });
+  } catch (err) {
+    console.error("Error /reports/:type/team:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// GET /reports/day/T123?page=2&pageSize=50&sort=period:desc&columns=period,Calls
+//     &from=2026-01&to=2026-03&filter[Calls]=>=10&downline=true&mode=flat|aggregate&format=xlsx
+app.get('/reports/:type/:territory', authorizeTerritory(territoryFromParams()), async (req, res) => {
+  try {
+    if (!Object.hasOwn(REPORT_TYPES, req.params.type)) {
+      return res.status(404).json({ error: `Unknown report type: ${req.params.type}` });
+    }
+    await runReport(req, res, req.params.type);
+  } catch (err) {
+    console.error("Error /reports:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Legacy routes, same JSON array as before
+const reportAlias = (type) => async (req, res) => {
+  try {
+    await runReport(req, res, type, { legacy: true });
+  } catch (err) {
+    console.error(`Error fetching ${type} reports:`, err);
+    res.status(500).send("Server error");
+  }
+};
+
+app.get("/getReports/:territory", authorizeTerritory(territoryFromParams()), reportAlias('day'));
+app.get("/getCampReports/:territory", authorizeTerritory(territoryFromParams()), reportAlias('campaign'));
+app.get("/getInventoryReports/:territory", authorizeTerritory(territoryFromParams()), reportAlias('inventory'));
+
+// ---------- Commitment history ----------
+// Every change to goal / receiver_commit_date / status is kept in
+// commitment_revisions so the originally agreed values can be recovered.
+const sameValue = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  const na = toNumber(a), nb = toNumber(b);
+  return na !== null && nb !== null ? na === nb : String(a) === String(b);
+};
+
+// Writes one revision per field that actually changes; returns those
+async function recordCommitmentRevisions(db, id, current, changes, actor) {
+  const revisions = Object.keys(changes)
+    .filter(field => !sameValue(current[field], changes[field]))
+    .map(field => ({ field, old_value: current[field] ?? null, new_value: changes[field] ?? null }));
+
+  if (revisions.length) {
+    await db.query(
+      `INSERT INTO commitment_revisions
+       (commitment_id, field, old_value, new_value, actor_code, actor_name, actor_territory)
+       VALUES ?`,
+      [revisions.map(r => [
+        id,
+        r.field,
+        r.old_value === null ? null : String(r.old_value),
+        r.new_value === null ? null : String(r.new_value),
+        actor.empCode || null,
+        actor.empName || null,
+        actor.territory || null,
+      ])]
+    );
+  }
+
+  return revisions;
+}
+
+async function fetchCommitmentRevisions(ids) {
+  if (ids.length === 0) return new Map();
+
+  const [rows] = await pool.query(
+    `SELECT id, commitment_id, field, old_value, new_value, actor_code, actor_name, actor_territory, changed_at
+     FROM commitment_revisions
+     WHERE commitment_id IN (?)
+     ORDER BY changed_at, id`,
+    [ids]
+  );
+
+  const byCommitment = new Map(ids.map(id => [Number(id), []]));
+  for (const row of rows) byCommitment.get(Number(row.commitment_id))?.push(row);
+  return byCommitment;
+}
+
+app.get('/commitments/:id', async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT
+         id,
+         metric,
+         sender,
+         sender_territory,
+         receiver,
+         receiver_territory,
+         commitment,
+         goal,
+         status,
+         actual_value,
+         DATE_FORMAT(received_date, '%Y-%m-%d') AS received_date,
+         DATE_FORMAT(goal_date, '%Y-%m-%d') AS goal_date,
+         DATE_FORMAT(receiver_commit_date, '%Y-%m-%d') AS receiver_commit_date
+       FROM commitments WHERE id = ? LIMIT 1`,
+      [req.params.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "No row found with this id" });
+    }
+
+    const commitment = rows[0];
+    const allowed = await canAccessTerritory(req.user, commitment.receiver_territory)
+      || await canAccessTerritory(req.user, commitment.sender_territory);
+
+    if (!allowed) {
+      return res.status(403).json({ error: "You do not have access to this commitment" });
+    }
+
+    const history = (await fetchCommitmentRevisions([commitment.id])).get(Number(commitment.id));
+    res.json({ ...commitment, history });
+  } catch (err) {
+    console.error("Error /commitments/:id:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// ---------- Update receiver commit date ----------
+app.put('/updateCommitment', async (req, res) => {
+  let conn;
+  try {
+    const { id, receiver_commit_date, goal } = req.body;
+
+    if (!id) {
+      return res.status(400).send("Row ID is required");
+    }
+
+    if (receiver_commit_date === undefined && goal === undefined) {
+      return res.status(400).send("Nothing to update");
+    }
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [existing] = await conn.query(
+      `SELECT
+         receiver_territory,
+         received_date,
+         goal,
+         DATE_FORMAT(receiver_commit_date, '%Y-%m-%d') AS receiver_commit_date,
+         status
+       FROM commitments WHERE id = ? LIMIT 1 FOR UPDATE`,
+      [id]
+    );
+
+    if (existing.length === 0) {
+      await conn.rollback();
+      return res.status(404).send("No row found with this id");
+    }
+
+    const current = existing[0];
+
+    if (!(await canAccessTerritory(req.user, current.receiver_territory))) {
+      await conn.rollback();
+      return res.status(403).send("You do not have access to this commitment");
+    }
+
+    const lock = await findPeriodLock(
+      periodOf(current.received_date),
+      await divisionOf(current.receiver_territory)
+    );
+    if (lock) {
+      await conn.rollback();
+      return sendPeriodLocked(res, lock);
+    }
+
+    const changes = {};
+
+    if (receiver_commit_date !== undefined) {
+      changes.receiver_commit_date = receiver_commit_date || null;
+
+      // Giving a commit date is the receiver committing
+      if (receiver_commit_date && ['sent', 'acknowledged'].includes(current.status)) {
+        changes.status = 'committed';
+      }
+    }
+
+    if (goal !== undefined) {
+      changes.goal = goal;
+    }
+
+    const revisions = await recordCommitmentRevisions(conn, id, current, changes, req.user);
+
+    if (revisions.length) {
+      const fields = revisions.map(r => `${r.field} = ?`);
+      const values = revisions.map(r => changes[r.field]);
+      if (changes.status) fields.push("status_changed_at = NOW()");
+
+      await conn.query(
+        `UPDATE commitments SET ${fields.join(", ")} WHERE id = ?`,
+        [...values, id]
+      );
+    }
+
+    await conn.commit();
+    res.status(200).send("Updated successfully");
+  } catch (err) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error("Error /updateCommitment:", err);
+    res.status(500).send("Internal Server Error");
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+
+// ---------- Commitment lifecycle ----------
+// sent -> acknowledged -> committed -> met | partially_met | missed
+// Any open commitment can be withdrawn by its sender. The outcome states
+// are only ever set by the evaluator, which compares the target against
+// the receiver's bgm_*_dashboard_ftm row for the goal_date Period once
+// goal_date has passed.
+const COMMITMENT_STATUSES = ['sent', 'acknowledged', 'committed', 'met', 'partially_met', 'missed', 'withdrawn'];
+const OPEN_COMMITMENT_STATUSES = ['sent', 'acknowledged', 'committed'];
+
+// Manual transitions; who may make them is checked in the route
+const COMMITMENT_TRANSITIONS = {
+  sent: ['acknowledged', 'committed', 'withdrawn'],
+  acknowledged: ['committed', 'withdrawn'],
+  committed: ['withdrawn'],
+};
+
+// actual >= target * ratio counts as partially met
+const COMMITMENT_PARTIAL_RATIO = Number(process.env.COMMITMENT_PARTIAL_RATIO || 0.5);
+const COMMITMENT_EVALUATION_INTERVAL_MINUTES = Number(process.env.COMMITMENT_EVALUATION_INTERVAL_MINUTES || 60);
+
+const toNumber = (value) =>
+  value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value);
+
+function commitmentOutcome(target, actual) {
+  if (actual >= target) return 'met';
+  if (actual >= target * COMMITMENT_PARTIAL_RATIO) return 'partially_met';
+  return 'missed';
+}
+
+app.put('/commitments/:id/status', async (req, res) => {
+  try {
+    const { status } = req.body || {};
+
+    if (!COMMITMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${COMMITMENT_STATUSES.join(', ')}` });
+    }
+
+    const [existing] = await pool.query(
+      `SELECT id, status, sender_territory, receiver_territory, received_date
+       FROM commitments WHERE id = ? LIMIT 1`,
+      [req.params.id]
+    );
+
+    if (existing.length === 0) {
+      return res.status(404).json({ error: "No row found with this id" });
+    }
+
+    const commitment = existing[0];
+    const allowed = COMMITMENT_TRANSITIONS[commitment.status] || [];
+
+    if (!allowed.includes(status)) {
+      return res.status(409).json({
+        error: `Cannot move a ${commitment.status} commitment to ${status}`,
+        allowed,
+      });
+    }
+
+    // Receivers (and their managers) respond; only the sender's side withdraws
+    const side = status === 'withdrawn' ? commitment.sender_territory : commitment.receiver_territory;
+    if (!(await canAccessTerritory(req.user, side))) {
+      return res.status(403).json({ error: "You do not have access to this commitment" });
+    }
+
+    const lock = await findPeriodLock(
+      periodOf(commitment.received_date),
+      await divisionOf(commitment.receiver_territory)
+    );
+    if (lock) return sendPeriodLocked(res, lock);
+
+    // Guard on the old status so two concurrent transitions can't both win
+    const [result] = await pool.query(
+      `UPDATE commitments SET status = ?, status_changed_at = NOW() WHERE id = ? AND status = ?`,
+      [status, commitment.id, commitment.status]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: "Commitment was changed by someone else, reload and retry" });
+    }
+
+    await recordCommitmentRevisions(pool, commitment.id, commitment, { status }, req.user);
+
+    res.json({ success: true, id: commitment.id, from: commitment.status, status });
+  } catch (err) {
+    console.error("Error /commitments/:id/status:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+let commitmentEvaluationRunning = false;
+
+// Settles every open commitment whose goal_date has passed and whose actual
+// is available. Commitments without a dashboard row or metric column are
+// left open and reported as skipped so they get picked up on a later run.
+async function evaluateCommitments() {
+  if (commitmentEvaluationRunning) return { running: true };
+  commitmentEvaluationRunning = true;
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, metric, receiver_territory, goal, commitment, goal_date, status
+       FROM commitments
+       WHERE status IN (?) AND goal_date < CURDATE()`,
+      [OPEN_COMMITMENT_STATUSES]
+    );
+
+    const index = await getOrganogramIndex();
+    const dashboardRows = new Map();
+    const summary = { evaluated: rows.length, met: 0, partially_met: 0, missed: 0, skipped: [] };
+
+    for (const c of rows) {
+      const emp = index.byTerritory.get(String(c.receiver_territory || '').trim());
+      const role = emp && dashboardRoleFor(emp.Role);
+      const period = periodOf(c.goal_date);
+      const target = toNumber(c.commitment) ?? toNumber(c.goal);
+
+      if (!role || target === null) {
+        summary.skipped.push({ id: c.id, reason: !role ? "Unknown receiver role" : "No numeric target" });
+        continue;
+      }
+
+      const key = `${role}|${c.receiver_territory}|${period}`;
+      if (!dashboardRows.has(key)) {
+        dashboardRows.set(key, await fetchDashboardRow(role, 'ftm', {
+          territory: c.receiver_territory,
+          division: emp.Division,
+          month: period,
+        }));
+      }
+
+      const row = dashboardRows.get(key);
+      const actual = row ? toNumber(row[c.metric]) : null;
+
+      if (actual === null) {
+        summary.skipped.push({ id: c.id, reason: row ? `No ${c.metric} value` : `No ${period} dashboard row` });
+        continue;
+      }
+
+      const outcome = commitmentOutcome(target, actual);
+      const [result] = await pool.query(
+        `UPDATE commitments
+         SET status = ?, actual_value = ?, evaluated_at = NOW(), status_changed_at = NOW()
+         WHERE id = ? AND status = ?`,
+        [outcome, actual, c.id, c.status]
+      );
+      if (result.affectedRows) {
+        await recordCommitmentRevisions(pool, c.id, c, { status: outcome }, { empName: 'evaluator' });
+        summary[outcome]++;
+      }
+    }
+
+    return summary;
+  } finally {
+    commitmentEvaluationRunning = false;
+  }
+}
+
+function startCommitmentEvaluator() {
+  if (!(COMMITMENT_EVALUATION_INTERVAL_MINUTES > 0)) return;
+
+  const run = () => evaluateCommitments()
+    .then(summary => {
+      if (summary.running || !summary.evaluated) return;
+      console.log(`Commitment evaluation: ${summary.met} met, ${summary.partially_met} partially met, ${summary.missed} missed`);
+    })
+    .catch(err => console.error("Error evaluating commitments:", err));
+
+  setInterval(run, COMMITMENT_EVALUATION_INTERVAL_MINUTES * 60 * 1000).unref();
+  run();
+}
+
+app.post('/admin/commitments/evaluate', requireAdmin, async (req, res) => {
+  try {
+    res.json(await evaluateCommitments());
+  } catch (err) {
+    console.error("Error /admin/commitments/evaluate:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+
+
+// ---------- Add disclosure ----------
+
+app.post("/addEscalation", async (req, res) => {
+  try {
+    const {
+      metric,
+      from,
+      to,
+      received_date,
+      goal_date,
+      message
+    } = req.body;
+    const { empName: sender, empCode: sender_code, territory: sender_territory } = req.user;
+
+    if (
+      !metric ||
+      from === undefined ||
+      to === undefined ||
+      !received_date ||
+      !goal_date
+    ) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    const query = `
+      INSERT INTO disclosures
+      (metric, sender, sender_code, sender_territory, \`from\`, \`to\`, received_date, goal_date, message) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const values = [metric, sender, sender_code, sender_territory, from, to, received_date, goal_date, message || null];
+    await pool.query(query, values);
+    res.status(201).json({ message: "Commitment added successfully" });
+  } catch (error) {
+    console.error("Error /addEscalation:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// ---------- Disclosures (read / acknowledge) ----------
+// Managers read what their downline disclosed and acknowledge or comment;
+// responses live in disclosure_responses so a disclosure keeps its thread.
+const DISCLOSURE_RESPONSE_TYPES = ['acknowledge', 'comment'];
+
+// Applies ?metric / ?fromDate / ?toDate (received_date, 'YYYY-MM-DD')
+function disclosureFilters(query, alias = 'd') {
+  const clauses = [];
+  const params = [];
+
+  if (query.metric) {
+    clauses.push(`${alias}.metric = ?`);
+    params.push(query.metric);
+  }
+  if (query.fromDate) {
+    clauses.push(`${alias}.received_date >= ?`);
+    params.push(query.fromDate);
+  }
+  if (query.toDate) {
+    clauses.push(`${alias}.received_date <= ?`);
+    params.push(query.toDate);
+  }
+
+  return { clauses, params };
+}
+
+// GET /disclosures?sender=<territory>&metric=...&fromDate=...&toDate=...
+// Without ?sender a manager sees their whole downline (admins see all).
+app.get('/disclosures', async (req, res) => {
+  try {
+    const { sender } = req.query;
+
+    if (sender && !(await canAccessTerritory(req.user, sender))) {
+      return res.status(403).json({ error: "You do not have access to this territory" });
+    }
+
+    const { clauses, params } = disclosureFilters(req.query);
+
+    if (sender) {
+      clauses.unshift(`d.sender_territory = ?`);
+      params.unshift(sender);
+    } else if (!req.user.isAdmin) {
+      clauses.unshift(`d.sender_territory IN (?)`);
+      params.unshift([...await getDownline(req.user.territory)]);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT
+         d.*,
+         DATE_FORMAT(d.received_date, '%Y-%m-%d') AS received_date,
+         DATE_FORMAT(d.goal_date, '%Y-%m-%d') AS goal_date,
+         COALESCE(r.acknowledgements, 0) AS acknowledgements,
+         COALESCE(r.comments, 0) AS comments
+       FROM disclosures d
+       LEFT JOIN (
+         SELECT
+           disclosure_id,
+           SUM(type = 'acknowledge') AS acknowledgements,
+           SUM(type = 'comment') AS comments
+         FROM disclosure_responses
+         GROUP BY disclosure_id
+       ) r ON r.disclosure_id = d.id
+       ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+       ORDER BY d.received_date DESC, d.id DESC`,
+      params
+    );
+
+    res.json(rows.map(row => ({
+      ...row,
+      acknowledgements: Number(row.acknowledgements),
+      comments: Number(row.comments),
+      acknowledged: Number(row.acknowledgements) > 0,
+    })));
+  } catch (err) {
+    console.error("Error /disclosures:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// GET /disclosures/summary?territory=<manager>&fromDate=...&toDate=...
+app.get('/disclosures/summary', authorizeTerritory(territoryFromQuery('territory')), async (req, res) => {
+  try {
+    const territory = req.query.territory || req.user.territory;
+    const downline = [...await getDownline(territory)];
+    const { clauses, params } = disclosureFilters(req.query);
+
+    const [rows] = await pool.query(
+      `SELECT
+         d.metric,
+         COUNT(*) AS total,
+         COUNT(DISTINCT d.sender_territory) AS senders,
+         SUM(EXISTS (
+           SELECT 1 FROM disclosure_responses r
+           WHERE r.disclosure_id = d.id AND r.type = 'acknowledge'
+         )) AS acknowledged
+       FROM disclosures d
+       WHERE ${['d.sender_territory IN (?)', ...clauses].join(' AND ')}
+       GROUP BY d.metric
+       ORDER BY total DESC`,
+      [downline, ...params]
+    );
+
+    const metrics = rows.map(r => ({
+      metric: r.metric,
+      total: Number(r.total),
+      senders: Number(r.senders),
+      acknowledged: Number(r.acknowledged),
+      unacknowledged: Number(r.total) - Number(r.acknowledged),
+    }));
+
+    res.json({
+      territory,
+      total: metrics.reduce((acc, m) => acc + m.total, 0),
+      metrics,
+    });
+  } catch (err) {
+    console.error("Error /disclosures/summary:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+async function loadDisclosure(req, res) {
+  const [rows] = await pool.query(
+    `SELECT
+       *,
+       DATE_FORMAT(received_date, '%Y-%m-%d') AS received_date,
+       DATE_FORMAT(goal_date, '%Y-%m-%d') AS goal_date
+     FROM disclosures WHERE id = ? LIMIT 1`,
+    [req.params.id]
+  );
+
+  if (rows.length === 0) {
+    res.status(404).json({ error: "Disclosure not found" });
+    return null;
+  }
+
+  if (!(await canAccessTerritory(req.user, rows[0].sender_territory))) {
+    res.status(403).json({ error: "You do not have access to this disclosure" });
+    return null;
+  }
+
+  return rows[0];
+}
+
+app.get('/disclosures/:id', async (req, res) => {
+  try {
+    const disclosure = await loadDisclosure(req, res);
+    if (!disclosure) return;
+
+    const [responses] = await pool.query(
+      `SELECT * FROM disclosure_responses WHERE disclosure_id = ? ORDER BY created_at, id`,
+      [disclosure.id]
+    );
+
+    res.json({ ...disclosure, responses });
+  } catch (err) {
+    console.error("Error /disclosures/:id:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// POST /disclosures/:id/responses { type: 'acknowledge' | 'comment', comment }
+app.post('/disclosures/:id/responses', async (req, res) => {
+  try {
+    const { type = 'comment', comment } = req.body || {};
+
+    if (!DISCLOSURE_RESPONSE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${DISCLOSURE_RESPONSE_TYPES.join(', ')}` });
+    }
+
+    if (type === 'comment' && !(comment && String(comment).trim())) {
+      return res.status(400).json({ error: "comment is required" });
+    }
+
+    const disclosure = await loadDisclosure(req, res);
+    if (!disclosure) return;
+
+    if (type === 'acknowledge') {
+      if (disclosure.sender_code === req.user.empCode) {
+        return res.status(403).json({ error: "You cannot acknowledge your own disclosure" });
+      }
+
+      const [already] = await pool.query(
+        `SELECT id FROM disclosure_responses
+         WHERE disclosure_id = ? AND type = 'acknowledge' AND actor_code = ? LIMIT 1`,
+        [disclosure.id, req.user.empCode]
+      );
+      if (already.length) {
+        return res.json({ success: true, alreadyAcknowledged: true });
+      }
+    }
+
+    await pool.query(
+      `INSERT INTO disclosure_responses
+       (disclosure_id, type, comment, actor_code, actor_name, actor_territory)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [disclosure.id, type, comment || null, req.user.empCode, req.user.empName, req.user.territory]
+    );
+
+    res.status(201).json({ success: true });
+  } catch (err) {
+    console.error("Error /disclosures/:id/responses:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+// 📌 Get all information records
+
+// Admins see every message; everyone else only what they sent or received
+app.get('/getInfo', async (req, res) => {
+  try {
+    const [rows] = req.user.isAdmin
+      ? await pool.query('SELECT * FROM information ORDER BY received_date DESC')
+      : await pool.query(
+        `SELECT * FROM information
+         WHERE receiver_territory = ? OR sender_territory = ?
+         ORDER BY received_date DESC`,
+        [req.user.territory, req.user.territory]
+      );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error /getInfo:', err);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+
+
+// ---------- Message templates ----------
+// Stored, named message bodies for /putInfo. Syntax:
+//   {{name}} {{receiver}} {{territory}} {{sender}} {{metric}} {{period}}
+//   {{kpi.Coverage}} / {{ytd.Coverage}}   receiver's FTM / YTD dashboard row
+//   {{efficiency.efficiencyMonth}}        receiver's efficiency for the Period
+//   {{kpi.Coverage | number:1}}           number:N, percent:N, int, default:text
+//   {{#if kpi.Compliance < 80}}...{{else}}...{{/if}}   (<, <=, >, >=, ==, !=)
+// Legacy @name / @metric placeholders keep working. /putInfo only treats an
+// inline message as a template when the row sets `render: true`.
+const TEMPLATE_TAG = /\{\{\s*(.+?)\s*\}\}/g;
+const TEMPLATE_CONDITION = /^([\w.]+)\s*(<=|>=|==|!=|<|>)\s*(-?\d+(?:\.\d+)?|'[^']*'|"[^"]*")$/;
+const TEMPLATE_FORMATS = ['number', 'percent', 'int', 'default'];
+const TEMPLATE_DATA_ROOTS = ['kpi', 'ytd', 'efficiency'];
+
+// Template body -> tree of text / var / if nodes; throws on bad syntax
+function parseTemplate(body) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  const current = () => {
+    const top = stack[stack.length - 1];
+    return top.inElse ? top.otherwise : top.children;
+  };
+
+  TEMPLATE_TAG.lastIndex = 0;
+  while ((match = TEMPLATE_TAG.exec(body))) {
+    if (match.index > last) current().push({ type: 'text', value: body.slice(last, match.index) });
+    last = TEMPLATE_TAG.lastIndex;
+
+    const tag = match[1];
+    if (tag.startsWith('#if ')) {
+      const expr = tag.slice(4).trim();
+      const cmp = expr.match(TEMPLATE_CONDITION);
+      if (!cmp && !/^[\w.]+$/.test(expr)) throw new Error(`Invalid condition: ${expr}`);
+
+      const node = {
+        type: 'if',
+        path: cmp ? cmp[1] : expr,
+        op: cmp ? cmp[2] : null,
+        operand: cmp ? (/^['"]/.test(cmp[3]) ? cmp[3].slice(1, -1) : Number(cmp[3])) : null,
+        children: [],
+        otherwise: [],
+      };
+      current().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      const top = stack[stack.length - 1];
+      if (top === root || top.inElse) throw new Error("{{else}} without a matching {{#if}}");
+      top.inElse = true;
+    } else if (tag === '/if') {
+      if (stack.length === 1) throw new Error("{{/if}} without a matching {{#if}}");
+      delete stack.pop().inElse;
+    } else {
+      const [path, ...pipes] = tag.split('|').map(p => p.trim());
+      if (!/^[\w.]+$/.test(path)) throw new Error(`Invalid variable: ${tag}`);
+
+      const format = pipes.length ? pipes[0].split(':') : null;
+      if (format && !TEMPLATE_FORMATS.includes(format[0])) throw new Error(`Unknown format: ${format[0]}`);
+
+      current().push({ type: 'var', path, format: format && format[0], arg: format && format.slice(1).join(':') });
+    }
+  }
+
+  if (stack.length > 1) throw new Error("Unclosed {{#if}}");
+  if (last < body.length) root.children.push({ type: 'text', value: body.slice(last) });
+  return root.children;
+}
+
+function templateRoots(nodes, roots = new Set()) {
+  for (const node of nodes) {
+    if (node.path) roots.add(node.path.split('.')[0]);
+    if (node.type === 'if') {
+      templateRoots(node.children, roots);
+      templateRoots(node.otherwise, roots);
+    }
+  }
+  return roots;
+}
+
+// Own keys only, so {{constructor}} or {{__proto__}} don't reach prototypes
+const lookupPath = (context, path) =>
+  path.split('.').reduce(
+    (value, key) => (value === null || value === undefined || !Object.hasOwn(value, key) ? undefined : value[key]),
+    context
+  );
+
+function formatTemplateValue(value, format, arg) {
+  const digits = arg === '' || arg === undefined ? 0 : Number(arg);
+  const numeric = () => {
+    const n = toNumber(value);
+    if (n === null) throw new Error(`"${value}" is not a number`);
+    return n;
+  };
+
+  switch (format) {
+    case 'number':
+      return numeric().toLocaleString('en-IN', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    case 'percent':
+      return `${numeric().toFixed(digits)}%`;
+    case 'int':
+      return String(Math.round(numeric()));
+    default:
+      return String(value);
+  }
+}
+
+function testTemplateCondition(node, context) {
+  const value = lookupPath(context, node.path);
+  if (!node.op) return Boolean(value) && value !== '0';
+  if (value === undefined || value === null) return false;
+
+  const left = typeof node.operand === 'number' ? toNumber(value) : String(value);
+  if (left === null) return false;
+
+  switch (node.op) {
+    case '<': return left < node.operand;
+    case '<=': return left <= node.operand;
+    case '>': return left > node.operand;
+    case '>=': return left >= node.operand;
+    case '==': return left === node.operand;
+    case '!=': return left !== node.operand;
+  }
+  return false;
+}
+
+function renderTemplateNodes(nodes, context) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'if') {
+      return renderTemplateNodes(testTemplateCondition(node, context) ? node.children : node.otherwise, context);
+    }
+
+    const value = lookupPath(context, node.path);
+    if (value === undefined || value === null || value === '') {
+      if (node.format === 'default') return node.arg;
+      throw new Error(`No value for ${node.path}`);
+    }
+    return formatTemplateValue(value, node.format, node.arg);
+  }).join('');
+}
+
+// Dashboard / efficiency data for one recipient, only loaded if used
+async function loadTemplateData(roots, { territory, period }) {
+  const data = {};
+  if (!TEMPLATE_DATA_ROOTS.some(root => roots.has(root))) return data;
+
+  const index = await getOrganogramIndex();
+  const emp = index.byTerritory.get(String(territory || '').trim());
+  const role = emp && dashboardRoleFor(emp.Role);
+  if (!role) throw new Error(`No dashboard for receiver territory ${territory}`);
+
+  const scope = { territory, division: emp.Division, month: period };
+
+  if (roots.has('kpi')) data.kpi = await fetchDashboardRow(role, 'ftm', scope);
+  if (roots.has('ytd')) data.ytd = await fetchDashboardRow(role, 'ytd', scope);
+  if (roots.has('efficiency')) data.efficiency = await computeEfficiency(role, scope);
+
+  for (const root of TEMPLATE_DATA_ROOTS) {
+    if (roots.has(root) && !data[root]) {
+      throw new Error(`No ${period} ${root} data for ${territory}`);
+    }
+  }
+
+  return data;
+}
+
+function replaceLegacyPlaceholders(message, row) {
+  if (message.includes("@name")) {
+    message = message.replace(/@name/g, row.receiver);
+  }
+  if (message.includes("@metric") && row.metric !== undefined) {
+    message = message.replace(/@metric/g, row.metric);
+  }
+  return message;
+}
+
+async function renderMessage(template, row, sender, period) {
+  const nodes = parseTemplate(template);
+  const data = await loadTemplateData(templateRoots(nodes), { territory: row.receiver_territory, period });
+
+  const context = {
+    name: row.receiver,
+    receiver: row.receiver,
+    territory: row.receiver_territory,
+    sender: sender.empName,
+    metric: row.metric,
+    period,
+    ...data,
+  };
+
+  return replaceLegacyPlaceholders(renderTemplateNodes(nodes, context), row);
+}
+
+async function getTemplate(name) {
+  const [rows] = await pool.query(`SELECT * FROM message_templates WHERE name = ? LIMIT 1`, [name]);
+  return rows[0] || null;
+}
+
+app.get('/templates', async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, name, description, body, updated_by, updated_at FROM message_templates ORDER BY name`
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("Error /templates:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+app.get('/templates/:name', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.name);
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    res.json(template);
+  } catch (err) {
+    console.error("Error /templates/:name:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// POST /templates/:name/preview { receiver, receiver_territory, metric, Period }
+app.post('/templates/:name/preview', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.name);
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    const row = { ...req.body, receiver_territory: req.body.receiver_territory || req.user.territory };
+    if (!(await canAccessTerritory(req.user, row.receiver_territory))) {
+      return res.status(403).json({ error: "You do not have access to this territory" });
+    }
+
+    try {
+      const message = await renderMessage(template.body, row, req.user, req.body.Period || currentPeriod());
+      res.json({ message });
+    } catch (err) {
+      res.status(422).json({ error: err.message });
+    }
+  } catch (err) {
+    console.error("Error /templates/:name/preview:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// PUT /admin/templates/:name { body, description } creates or replaces
+app.put('/admin/templates/:name', requireAdmin, async (req, res) => {
+  try {
+    const { body, description } = req.body || {};
+
+    if (!body || typeof body !== 'string') {
+      return res.status(400).json({ error: "body is required" });
+    }
+
+    try {
+      parseTemplate(body);
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid template: ${err.message}` });
+    }
+
+    await pool.query(
+      `INSERT INTO message_templates (name, body, description, updated_by)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE body = VALUES(body), description = VALUES(description), updated_by = VALUES(updated_by)`,
+      [req.params.name, body, description || null, req.user.empCode]
+    );
+
+    res.json({ success: true, name: req.params.name });
+  } catch (err) {
+    console.error("Error /admin/templates:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+app.delete('/admin/templates/:name', requireAdmin, async (req, res) => {
+  try {
+    const [result] = await pool.query(`DELETE FROM message_templates WHERE name = ?`, [req.params.name]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error /admin/templates:", err);
+    res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
-app.get("/getReports/:territory", async (req, res) => {
+// ---------- Insert info ----------
+// values: [sender, sender_code, sender_territory, receiver, receiver_code,
+//          receiver_territory, received_date, message]
+async function insertInformation(values) {
+  const query = `
+    INSERT INTO information (
+      sender,
+      sender_code,
+      sender_territory,
+      receiver,
+      receiver_code,
+      receiver_territory,
+      received_date,
+      message
+    ) VALUES ?
+  `;
+
+  // ✅ Use query, not execute
+  await pool.query(query, [values]);
+}
+
+// Each row is either { message }, { message, render: true } (template
+// syntax) or { template: '<name>' }. Receivers must be in the caller's
+// downline. A row that fails is reported in `errors`; the rest are sent.
+app.post('/putInfo', async (req, res) => {
   try {
-    const territory = req.params.territory;
-    const { period } = req.query; // e.g. ?period=2026-03
+    const data = Array.isArray(req.body) ? req.body : [req.body];
 
-    let query = `
-      SELECT *
-      FROM day_report
-      WHERE territory = ?
-    `;
+    if (data.length === 0) {
+      return res.status(400).json({ error: "No data received" });
+    }
 
-    let params = [territory];
+    const templates = new Map();
+    const values = [];
+    const errors = [];
 
-    if (period) {
-      // If period stored like 'YYYY-MM'
-      query += ` AND period = ?`;
-      params.push(period);
+    for (const [index, row] of data.entries()) {
+      try {
+        if (!(await canAccessTerritory(req.user, row.receiver_territory))) {
+          throw new Error(`Receiver ${row.receiver_territory} is outside your team`);
+        }
 
-      // OR if period is a DATE column, use this instead:
-      // query += ` AND DATE_FORMAT(period, '%Y-%m') = ?`;
-      // params.push(period);
-    }
+        let body = row.message;
 
-    query += ` ORDER BY period DESC`;
+        if (row.template) {
+          if (!templates.has(row.template)) templates.set(row.template, await getTemplate(row.template));
+          const template = templates.get(row.template);
+          if (!template) throw new Error(`Unknown template: ${row.template}`);
+          body = template.body;
+        }
 
-    const [rows] = await pool.query(query, params);
+        if (!body || typeof body !== 'string') {
+          throw new Error("message or template is required");
+        }
 
-    // Exclude unwanted columns from the response
-    const EXCLUDED_COLS = new Set(["Division", "Emp_Code", "Emp_Name", "Role", "status", "Region","HQ"]);
-    const filtered = rows.map(row => {
-      const cleaned = {};
-      for (const key of Object.keys(row)) {
-        if (!EXCLUDED_COLS.has(key)) cleaned[key] = row[key];
+        const personalizedMsg = row.template || row.render === true
+          ? await renderMessage(body, row, req.user, row.Period || currentPeriod())
+          : replaceLegacyPlaceholders(body, row);
+
+        values.push([
+          req.user.empName,
+          req.user.empCode,
+          req.user.territory,
+          row.receiver || null,
+          row.receiver_code || null,
+          row.receiver_territory || null,
+          row.received_date || null,
+          personalizedMsg || null
+        ]);
+      } catch (err) {
+        errors.push({ index, receiver_territory: row.receiver_territory || null, error: err.message });
       }
-      return cleaned;
-    });
+    }
+
+    if (values.length === 0) {
+      return res.status(400).json({ success: false, inserted: 0, errors });
+    }
+
+    await insertInformation(values);
 
-    res.json(filtered);
+    return res.status(201).json({ success: true, inserted: values.length, errors });
   } catch (err) {
-    console.error("Error fetching reports:", err);
-    res.status(500).send("Server error");
+    console.error("Error /putInfo:", err);
+    return res.status(500).json({ error: "Internal Server Error" });
   }
 });
-app.get("/getCampReports/:territory", async (req, res) => {
-  try {
-    const territory = req.params.territory;
-    const { period } = req.query; // e.g. ?period=2026-03
 
-    let query = `
-      SELECT *
-      FROM campaign_report
-      WHERE territory = ?
-    `;
+// ---------- Broadcast ----------
+// POST /broadcast
+// {
+//   root: 'BL_TERR',                     whose subtree to message
+//   message | template,                  as for /putInfo
+//   render: true,                        render an inline message as a template
+//   role: 'BE' | ['BE', 'TE'],           organogram Role filter
+//   division: 'Neuro',
+//   excludeVacant: true,                 default true
+//   kpi: 'Compliance < 80',              kpi.X / ytd.X, same ops as templates
+//   Period, received_date,
+//   preview: true                        default; send with preview: false
+// }
+// Recipients are expanded from the organogram; the root itself is skipped.
+const BROADCAST_MAX_RECIPIENTS = Number(process.env.BROADCAST_MAX_RECIPIENTS || 2000);
 
-    let params = [territory];
+function parseKpiFilter(expr) {
+  const match = String(expr).trim().match(TEMPLATE_CONDITION);
+  if (!match) return null;
 
-    if (period) {
-      // If period stored like 'YYYY-MM'
-      query += ` AND period = ?`;
-      params.push(period);
+  const path = match[1].includes('.') ? match[1] : `kpi.${match[1]}`;
+  const [scope] = path.split('.');
+  if (!['kpi', 'ytd'].includes(scope)) return null;
+
+  const operand = /^['"]/.test(match[3]) ? match[3].slice(1, -1) : Number(match[3]);
+  return { type: 'if', path, op: match[2], operand, scope: scope === 'kpi' ? 'ftm' : 'ytd' };
+}
+
+async function resolveBroadcastRecipients(root, { role, division, excludeVacant = true, kpi, period }) {
+  const index = await getOrganogramIndex();
+  const roles = role ? [].concat(role).map(r => String(r).toUpperCase()) : null;
+  const rootTerr = String(root).trim();
+
+  let recipients = [...await getDownline(rootTerr)]
+    .filter(terr => terr !== rootTerr)
+    .map(terr => index.byTerritory.get(terr))
+    .filter(Boolean)
+    .filter(emp => !roles || roles.includes(String(emp.Role).toUpperCase()))
+    .filter(emp => !division || emp.Division === division)
+    .filter(emp => !excludeVacant || emp.Emp_Code !== 'Vacant');
+
+  const excluded = [];
+
+  if (kpi) {
+    const condition = parseKpiFilter(kpi);
+    const territories = recipients.map(emp => String(emp.Territory).trim());
+    const rows = await fetchDashboardRowsByTerritory(territories, condition.scope, period);
+
+    recipients = recipients.filter(emp => {
+      const row = rows.get(String(emp.Territory).trim());
+      if (!row) {
+        excluded.push({ territory: emp.Territory, reason: `No ${period} dashboard row` });
+        return false;
+      }
+      return testTemplateCondition(condition, { [condition.path.split('.')[0]]: row });
+    });
+  }
+
+  return { recipients, excluded };
+}
 
-      // OR if period is a DATE column, use this instead:
-      // query += ` AND DATE_FORMAT(period, '%Y-%m') = ?`;
-      // params.push(period);
+app.post('/broadcast', authorizeTerritory(territoryFromBody('root')), async (req, res) => {
+  try {
+    const { message, template, role, division, excludeVacant, kpi } = req.body || {};
+    const root = req.body.root || req.user.territory;
+    const period = req.body.Period || currentPeriod();
+    const preview = req.body.preview !== false;
+
+    if (!message && !template) {
+      return res.status(400).json({ error: "message or template is required" });
     }
 
-    query += ` ORDER BY period DESC`;
+    if (kpi && !parseKpiFilter(kpi)) {
+      return res.status(400).json({ error: "kpi must look like 'Compliance < 80' or 'ytd.Coverage >= 90'" });
+    }
 
-    const [rows] = await pool.query(query, params);
+    let body = message;
+    if (template) {
+      const stored = await getTemplate(template);
+      if (!stored) {
+        return res.status(404).json({ error: `Unknown template: ${template}` });
+      }
+      body = stored.body;
+    }
 
-    // Exclude unwanted columns from the response
-    const EXCLUDED_COLS = new Set(["Division", "Emp_Code", "Emp_Name",  "status","Region","HQ"]);
-    const filtered = rows.map(row => {
-      const cleaned = {};
-      for (const key of Object.keys(row)) {
-        if (!EXCLUDED_COLS.has(key)) cleaned[key] = row[key];
+    // Plain messages are sent as written, like /putInfo without render
+    const render = Boolean(template) || req.body.render === true;
+    if (render) {
+      try {
+        parseTemplate(body);
+      } catch (err) {
+        return res.status(400).json({ error: `Invalid message: ${err.message}` });
       }
-      return cleaned;
+    }
+
+    const { recipients, excluded } = await resolveBroadcastRecipients(root, {
+      role, division, excludeVacant, kpi, period,
     });
 
-    res.json(filtered);
+    if (recipients.length > BROADCAST_MAX_RECIPIENTS) {
+      return res.status(413).json({
+        error: `Broadcast would reach ${recipients.length} people, the limit is ${BROADCAST_MAX_RECIPIENTS}; narrow the filters`,
+      });
+    }
+
+    const values = [];
+    const messages = [];
+    const errors = [];
+
+    for (const emp of recipients) {
+      const row = {
+        receiver: emp.Emp_Name,
+        receiver_code: emp.Emp_Code,
+        receiver_territory: String(emp.Territory).trim(),
+        metric: req.body.metric,
+      };
+
+      try {
+        const rendered = render
+          ? await renderMessage(body, row, req.user, period)
+          : replaceLegacyPlaceholders(body, row);
+        messages.push({ ...row, role: emp.Role, division: emp.Division, message: rendered });
+        values.push([
+          req.user.empName,
+          req.user.empCode,
+          req.user.territory,
+          row.receiver,
+          row.receiver_code,
+          row.receiver_territory,
+          req.body.received_date || new Date().toISOString().slice(0, 10),
+          rendered,
+        ]);
+      } catch (err) {
+        errors.push({ receiver_territory: row.receiver_territory, error: err.message });
+      }
+    }
+
+    if (preview) {
+      return res.json({ preview: true, root, Period: period, count: messages.length, recipients: messages, excluded, errors });
+    }
+
+    if (values.length) {
+      await insertInformation(values);
+    }
+
+    res.status(201).json({ success: true, root, inserted: values.length, excluded, errors });
   } catch (err) {
-    console.error("Error fetching campaign reports:", err);
-    res.status(500).send("Server error");
+    console.error("Error /broadcast:", err);
+    res.status(500).json({ error: "Internal Server Error" });
   }
 });
-app.get("/getInventoryReports/:territory", async (req, res) => {
-  try {
-    const territory = req.params.territory;
-    const { period } = req.query; // e.g. ?period=2026-03
 
-    let query = `
-      SELECT *
-      FROM inventory_report
-      WHERE territory = ?
-    `;
 
-    let params = [territory];
 
-    if (period) {
-      // If period stored like 'YYYY-MM'
-      query += ` AND period = ?`;
-      params.push(period);
+// ---------- Filter data ----------
+// POST /filterData
+// {
+//   role: 'be', scope: 'ftm' | 'ytd', Month: '2026-03',
+//   root: 'BL_TERR', division: 'Neuro',           subtree / division
+//   conditions: [
+//     { metric: 'Compliance', op: 'between', from: 60, to: 80 },
+//     { metric: 'Coverage', op: '<', value: 90 }
+//   ],
+//   combine: 'and' | 'or',
+//   rank: { metric: 'Coverage', n: 10, direction: 'top' | 'bottom' },
+//   sort: 'Coverage:desc,Compliance', page: 1, pageSize: 50
+// }
+// Metrics must be numeric columns of the chosen dashboard table (see
+// GET /filterData/metrics/:role). A body without `conditions` is the old
+// { metric, from, to, Month } shape and still gets a plain array back; send
+// `conditions: []` for a rank or listing with no filter.
+const FILTER_OPS = { between: 'BETWEEN', '>': '>', '>=': '>=', '<': '<', '<=': '<=', '=': '=', '!=': '!=' };
+const FILTER_PAGE_SIZE = 100;
+const FILTER_MAX_PAGE_SIZE = 1000;
+const FILTER_MAX_RANK = 500;
+
+// Numeric columns of a dashboard table, from information_schema
+async function getMetricCatalogue(role, scope) {
+  const columns = await getTableColumns(DASHBOARD_ROLES[role].tables[scope]);
+  return {
+    all: new Set(columns.map(c => c.name)),
+    metrics: columns.filter(c => c.type === 'number').map(c => c.name),
+  };
+}
+
+app.get('/filterData/metrics/:role', async (req, res) => {
+  try {
+    const role = req.params.role.toLowerCase();
+    const scope = (req.query.scope || 'ftm').toLowerCase();
 
-      // OR if period is a DATE column, use this instead:
-      // query += ` AND DATE_FORMAT(period, '%Y-%m') = ?`;
-      // params.push(period);
+    if (!Object.hasOwn(DASHBOARD_ROLES, role) || !Object.hasOwn(DASHBOARD_ROLES[role].tables, scope)) {
+      return res.status(404).json({ error: `Unknown dashboard: ${req.params.role} ${scope}` });
     }
 
-    query += ` ORDER BY period DESC`;
+    const { metrics } = await getMetricCatalogue(role, scope);
+    res.json({ role, scope, metrics });
+  } catch (err) {
+    console.error("Error /filterData/metrics:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
 
-    const [rows] = await pool.query(query, params);
+function filterCondition(condition, metrics) {
+  const { metric, op = 'between' } = condition || {};
 
-    // Exclude unwanted columns from the response
-    const EXCLUDED_COLS = new Set(["Division", "Emp_Code", "Emp_Name",  "status","Region","HQ"]);
-    const filtered = rows.map(row => {
-      const cleaned = {};
-      for (const key of Object.keys(row)) {
-        if (!EXCLUDED_COLS.has(key)) cleaned[key] = row[key];
-      }
-      return cleaned;
-    });
+  if (!metrics.includes(metric)) throw reportInputError(`Invalid metric: ${metric}`);
+  if (!FILTER_OPS[op]) throw reportInputError(`Invalid op: ${op}`);
 
-    res.json(filtered);
-  } catch (err) {
-    console.error("Error fetching campaign reports:", err);
-    res.status(500).send("Server error");
+  if (op === 'between') {
+    const from = toNumber(condition.from);
+    const to = toNumber(condition.to);
+    if (from === null || to === null) throw reportInputError(`${metric} between needs numeric from and to`);
+    return { sql: `${quoteId(metric)} BETWEEN ? AND ?`, params: [from, to] };
   }
-});
 
-// ---------- Update receiver commit date ----------
-app.put('/updateCommitment', async (req, res) => {
+  const value = toNumber(condition.value);
+  if (value === null) throw reportInputError(`${metric} ${op} needs a numeric value`);
+  return { sql: `${quoteId(metric)} ${FILTER_OPS[op]} ?`, params: [value] };
+}
+
+app.post("/filterData", async (req, res) => {
   try {
-    const { id, receiver_commit_date, goal } = req.body;
+    const body = req.body || {};
+    const legacy = !hasValue(body.conditions);
 
-    if (!id) {
-      return res.status(400).send("Row ID is required");
+    if (legacy && (!body.metric || body.from === undefined || body.to === undefined)) {
+      return res.status(400).json({ error: "Missing required fields" });
     }
 
-    const fields = [];
-    const values = [];
+    const role = String(body.role || 'be').toLowerCase();
+    const scope = String(body.scope || 'ftm').toLowerCase();
+    const config = Object.hasOwn(DASHBOARD_ROLES, role) ? DASHBOARD_ROLES[role] : null;
 
-    if (receiver_commit_date !== undefined) {
-      fields.push("receiver_commit_date = ?");
-      values.push(receiver_commit_date);
+    if (!config || !Object.hasOwn(config.tables, scope)) {
+      return res.status(400).json({ error: `Unknown dashboard: ${body.role} ${body.scope || 'ftm'}` });
     }
 
-    if (goal !== undefined) {
-      fields.push("goal = ?");
-      values.push(goal);
+    const conditions = legacy
+      ? [{ metric: body.metric, op: 'between', from: body.from, to: body.to }]
+      : [].concat(body.conditions);
+    const combine = String(body.combine || 'and').toLowerCase();
+    const period = body.Month || body.Period;
+
+    if (!['and', 'or'].includes(combine)) {
+      return res.status(400).json({ error: "combine must be 'and' or 'or'" });
     }
 
-    if (fields.length === 0) {
-      return res.status(400).send("Nothing to update");
+    if (body.root && !(await canAccessTerritory(req.user, body.root))) {
+      return res.status(403).json({ error: "You do not have access to this territory" });
     }
 
-    values.push(id);
+    const { all, metrics } = await getMetricCatalogue(role, scope);
+    const table = quoteId(config.tables[scope]);
+    const territoryId = quoteId(config.territoryColumn);
 
-    const query = `
-      UPDATE commitments
-      SET ${fields.join(", ")}
-      WHERE id = ?
-    `;
+    let built;
+    try {
+      built = conditions.map(c => filterCondition(c, metrics));
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: legacy ? "Invalid metric" : err.message });
+      throw err;
+    }
 
-    const [result] = await pool.query(query, values);
+    const where = [];
+    const params = [];
 
-    if (result.affectedRows === 0) {
-      return res.status(404).send("No row found with this id");
+    if (built.length) {
+      where.push(`(${built.map(b => b.sql).join(combine === 'or' ? ' OR ' : ' AND ')})`);
+      built.forEach(b => params.push(...b.params));
     }
 
-    res.status(200).send("Updated successfully");
-  } catch (err) {
-    console.error("Error /updateCommitment:", err);
-    res.status(500).send("Internal Server Error");
-  }
-});
+    if (all.has('Emp_Code') && !body.includeVacant) {
+      where.push(`Emp_Code != 'Vacant'`);
+    }
 
+    // Non-admins only see their own downline
+    if (body.root || !req.user.isAdmin) {
+      where.push(`${territoryId} IN (?)`);
+      params.push([...(await getDownline(body.root || req.user.territory))]);
+    }
 
+    if (body.division && config.division) {
+      where.push(`division = ?`);
+      params.push(body.division);
+    }
 
+    if (period) {
+      where.push(`${PERIOD_MONTH_SQL} = ?`);
+      params.push(normalizePeriod(period));
+    }
 
-// ---------- Add disclosure ----------
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const referenced = [...new Set(conditions.map(c => c.metric))];
+    const selected = [
+      config.territoryColumn,
+      ...['Emp_Code', 'Emp_Name', 'Period', 'division'].filter(c => all.has(c) && c !== config.territoryColumn),
+      ...referenced,
+    ];
 
-app.post("/addEscalation", async (req, res) => {
-  try {
-    const {
-      metric,
-      sender,
-      sender_code,
-      sender_territory,
-      from,
-      to,
-      received_date,
-      goal_date,
-      message
-    } = req.body;
+    if (legacy) {
+      const [rows] = await pool.query(
+        `SELECT ${selected.filter(c => c !== 'Period' && c !== 'division').map(quoteId).join(', ')} FROM ${table} ${whereSql}`,
+        params
+      );
+      return res.json(rows);
+    }
 
-    if (
-      !metric ||
-      !sender ||
-      !sender_code ||
-      !sender_territory ||
-      from === undefined ||
-      to === undefined ||
-      !received_date ||
-      !goal_date
-    ) {
-      return res.status(400).json({ error: "Missing required fields" });
+    // Top / bottom N by one metric replaces paging
+    if (body.rank) {
+      const { metric, direction = 'top' } = body.rank;
+      const n = Math.min(Math.max(1, Number(body.rank.n) || 10), FILTER_MAX_RANK);
+
+      if (!metrics.includes(metric) || !['top', 'bottom'].includes(direction)) {
+        return res.status(400).json({ error: "rank needs a catalogue metric and direction 'top' or 'bottom'" });
+      }
+
+      const columns = selected.includes(metric) ? selected : [...selected, metric];
+      const [rows] = await pool.query(
+        `SELECT ${columns.map(quoteId).join(', ')} FROM ${table}
+         ${whereSql}${whereSql ? ' AND' : ' WHERE'} ${quoteId(metric)} IS NOT NULL
+         ORDER BY ${quoteId(metric)} ${direction === 'top' ? 'DESC' : 'ASC'}, ${territoryId}
+         LIMIT ?`,
+        [...params, n]
+      );
+
+      return res.json({
+        role,
+        scope,
+        rank: { metric, direction, n },
+        total: rows.length,
+        rows: rows.map((row, i) => ({ rank: i + 1, ...row })),
+      });
     }
 
-    const query = `
-      INSERT INTO disclosures
-      (metric, sender, sender_code, sender_territory, \`from\`, \`to\`, received_date, goal_date, message) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-    const values = [metric, sender, sender_code, sender_territory, from, to, received_date, goal_date, message || null];
-    await pool.query(query, values);
-    res.status(201).json({ message: "Commitment added successfully" });
+    const sort = parseSort(body.sort);
+    for (const s of sort) {
+      if ((!metrics.includes(s.column) && s.column !== config.territoryColumn) || !['asc', 'desc'].includes(s.dir)) {
+        return res.status(400).json({ error: `Cannot sort on ${s.column}` });
+      }
+    }
+    const orderBy = [...sort, { column: config.territoryColumn, dir: 'asc' }]
+      .map(s => `${quoteId(s.column)} ${s.dir.toUpperCase()}`)
+      .join(', ');
+
+    const columns = [...new Set([...selected, ...sort.map(s => s.column)])];
+    const page = Math.max(1, Number(body.page) || 1);
+    const pageSize = Math.min(Math.max(1, Number(body.pageSize) || FILTER_PAGE_SIZE), FILTER_MAX_PAGE_SIZE);
+
+    const [rows] = await pool.query(
+      `SELECT ${columns.map(quoteId).join(', ')} FROM ${table} ${whereSql}
+       ORDER BY ${orderBy}
+       LIMIT ? OFFSET ?`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM ${table} ${whereSql}`, params);
+
+    res.json({ role, scope, combine, page, pageSize, total: Number(total), rows });
   } catch (error) {
-    console.error("Error /addEscalation:", error);
+    console.error("Error /filterData:", error);
     res.status(500).json({ error: "Database error" });
   }
 });
-// 📌 Get all information records
 
-app.get('/getInfo', async (req, res) => {
+// ---------- Inbox (information messages) ----------
+// Newest first by received_date, then id. The cursor is the last row's
+// (received_date, id) so pages stay stable while new messages arrive.
+const INBOX_PAGE_SIZE = 50;
+const INBOX_MAX_PAGE_SIZE = 200;
+
+const encodeInboxCursor = (row) =>
+  Buffer.from(JSON.stringify([row.cursor_date, row.id])).toString('base64url');
+
+function decodeInboxCursor(cursor) {
   try {
-    const [rows] = await pool.query('SELECT * FROM information ORDER BY received_date DESC');
-    res.json(rows);
-  } catch (err) {
-    console.error('Error /getInfo:', err);
-    res.status(500).send('Internal Server Error');
+    const [date, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return typeof date === 'string' && Number.isInteger(id) ? { date, id } : null;
+  } catch {
+    return null;
   }
-});
-
+}
 
+// NULL dates sort last instead of breaking the cursor comparison. Both this
+// and the cursor are compared as DATETIME, so a date-only received_date
+// matches its own cursor ('2026-03-05' would sort before '2026-03-05 00:00:00'
+// as strings and repeat that day's rows on the next page).
+const INBOX_SORT_DATE = `CAST(COALESCE(received_date, '1000-01-01') AS DATETIME)`;
 
-// ---------- Insert info ----------
-app.post('/putInfo', async (req, res) => {
+// GET /inbox?limit=50&cursor=...&unread=true&archived=true
+app.get('/inbox', async (req, res) => {
   try {
-    const data = Array.isArray(req.body) ? req.body : [req.body];
-
-    if (data.length === 0) {
-      return res.status(400).json({ error: "No data received" });
-    }
+    const limit = Math.min(Math.max(1, Number(req.query.limit) || INBOX_PAGE_SIZE), INBOX_MAX_PAGE_SIZE);
+    const territory = req.user.territory;
 
-    const values = data.map(row => {
-      let personalizedMsg = row.message;
+    let query = `
+      SELECT *, DATE_FORMAT(${INBOX_SORT_DATE}, '%Y-%m-%d %H:%i:%s') AS cursor_date
+      FROM information
+      WHERE receiver_territory = ?
+    `;
+    let params = [territory];
 
-      // Replace placeholders
-      if (personalizedMsg.includes("@name")) {
-        personalizedMsg = personalizedMsg.replace(/@name/g, row.receiver);
-      }
-      if (personalizedMsg.includes("@metric") && row.metric !== undefined) {
-        personalizedMsg = personalizedMsg.replace(/@metric/g, row.metric);
-      }
+    query += req.query.archived === 'true' ? ` AND archived_at IS NOT NULL` : ` AND archived_at IS NULL`;
 
-      return [
-        row.sender || null,
-        row.sender_code || null,
-        row.sender_territory || null,
-        row.receiver || null,
-        row.receiver_code || null,
-        row.receiver_territory || null,
-        row.received_date || null,
-        personalizedMsg || null
-      ];
-    });
+    if (req.query.unread === 'true') {
+      query += ` AND read_at IS NULL`;
+    }
 
+    if (req.query.cursor) {
+      const cursor = decodeInboxCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      query += ` AND (${INBOX_SORT_DATE} < CAST(? AS DATETIME)
+                 OR (${INBOX_SORT_DATE} = CAST(? AS DATETIME) AND id < ?))`;
+      params.push(cursor.date, cursor.date, cursor.id);
+    }
 
+    query += ` ORDER BY ${INBOX_SORT_DATE} DESC, id DESC LIMIT ?`;
+    params.push(limit + 1);
 
-    const query = `
-      INSERT INTO information (
-        sender,
-        sender_code,
-        sender_territory,
-        receiver,
-        receiver_code,
-        receiver_territory,
-        received_date,
-        message
-      ) VALUES ?
-    `;
+    const [rows] = await pool.query(query, params);
+    const page = rows.slice(0, limit);
 
-    // ✅ Use query, not execute
-    await pool.query(query, [values]);
+    const [[{ unread }]] = await pool.query(
+      `SELECT COUNT(*) AS unread FROM information
+       WHERE receiver_territory = ? AND read_at IS NULL AND archived_at IS NULL`,
+      [territory]
+    );
 
-    return res.status(201).json({ success: true, inserted: values.length });
+    res.json({
+      results: page.map(({ cursor_date, ...row }) => row),
+      unread: Number(unread),
+      nextCursor: rows.length > limit ? encodeInboxCursor(page[page.length - 1]) : null,
+    });
   } catch (err) {
-    console.error("Error /putInfo:", err);
-    return res.status(500).json({ error: "Internal Server Error" });
+    console.error("Error /inbox:", err);
+    res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
+app.get('/inbox/unread-count', async (req, res) => {
+  try {
+    const [[{ unread }]] = await pool.query(
+      `SELECT COUNT(*) AS unread FROM information
+       WHERE receiver_territory = ? AND read_at IS NULL AND archived_at IS NULL`,
+      [req.user.territory]
+    );
+    res.json({ unread: Number(unread) });
+  } catch (err) {
+    console.error("Error /inbox/unread-count:", err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
 
-
-// ---------- Filter data (VALIDATE metric to prevent injection) ----------
-const ALLOWED_METRICS = ['Coverage', 'Compliance', 'Doctor_Calls', 'Chemist_Met']; // <- Replace with your actual numeric columns
-app.post("/filterData", async (req, res) => {
+// PUT /inbox/:id/read { read: false } to mark unread again
+// PUT /inbox/:id/archive { archived: false } to restore
+const inboxFlag = (column, bodyField) => async (req, res) => {
   try {
-    const { metric, from, to, Month } = req.body;
+    const on = req.body?.[bodyField] !== false;
 
-    if (!metric || from === undefined || to === undefined) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
+    const [result] = await pool.query(
+      `UPDATE information SET ${column} = ${on ? `COALESCE(${column}, NOW())` : 'NULL'}
+       WHERE id = ? AND receiver_territory = ?`,
+      [req.params.id, req.user.territory]
+    );
 
-    if (!ALLOWED_METRICS.includes(metric)) {
-      return res.status(400).json({ error: "Invalid metric" });
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Message not found" });
     }
 
-    let query = `
-      SELECT Territory, Emp_Code, Emp_Name, \`${metric}\`
-      FROM bgm_be_dashboard_ftm
-      WHERE \`${metric}\` BETWEEN ? AND ?  and Emp_Code != 'Vacant'
-    `;
-    let params = [from, to];
-
-    if (Month) {
-      query += ` AND Period = ?`;
-      params.push(Month);
-    }
+    res.json({ success: true, id: Number(req.params.id), [bodyField]: on });
+  } catch (err) {
+    console.error(`Error /inbox/:id/${bodyField}:`, err);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
 
-    const [rows] = await pool.query(query, params);
-    res.json(rows);
+app.put('/inbox/:id/read', inboxFlag('read_at', 'read'));
+app.put('/inbox/:id/archive', inboxFlag('archived_at', 'archived'));
 
-  } catch (error) {
-    console.error("Error /filterData:", error);
-    res.status(500).json({ error: "Database error" });
+app.put('/inbox/read-all', async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      `UPDATE information SET read_at = NOW()
+       WHERE receiver_territory = ? AND read_at IS NULL AND archived_at IS NULL`,
+      [req.user.territory]
+    );
+    res.json({ success: true, updated: result.affectedRows });
+  } catch (err) {
+    console.error("Error /inbox/read-all:", err);
+    res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
 // ---------- Messages by territory ----------
 app.post("/getMessagesByTerritory", async (req, res) => {
   try {
-    const { receiver_territory } = req.body;
-    if (!receiver_territory) {
-      return res.status(400).json({ error: "receiver_territory is required" });
-    }
+    // Callers can only read their own inbox
+    const receiver_territory = req.user.territory;
 
+    // Unpaged; /inbox is the paginated version
     const query = `
       SELECT * 
       FROM information
-      WHERE receiver_territory = ?
+      WHERE receiver_territory = ? AND archived_at IS NULL
+      ORDER BY received_date DESC, id DESC
     `;
     const [rows] = await pool.query(query, [receiver_territory]);
     res.json({ results: rows });
@@ -2419,10 +5255,9 @@ process.on('uncaughtException', (err) => {
 
 // -----------------------------------------------------------------------------------
 // ---------- API 1: Table 1 (Stockist, Product, Sales) ----------
-app.post('/getTable1', async (req, res) => {
+app.post('/getTable1', authorizeTerritory(territoryFromBody('territory')), async (req, res) => {
   try {
-    const { territory } = req.body;
-    if (!territory) return res.status(400).json({ error: 'territory is required' });
+    const territory = req.body.territory || req.user.territory;
 
     const [rows] = await pool.query(
       `SELECT stockistname, ProductName, Sales 
@@ -2441,10 +5276,9 @@ app.post('/getTable1', async (req, res) => {
 
 // ---------- API 2: Table 2 (Pivot Summary View) ----------
 
-app.post('/getTable2', async (req, res) => {
+app.post('/getTable2', authorizeTerritory(territoryFromBody('territory')), async (req, res) => {
   try {
-    const { territory } = req.body;
-    if (!territory) return res.status(400).json({ error: 'territory is required' });
+    const territory = req.body.territory || req.user.territory;
 
     const [rows] = await pool.query(
       `SELECT stockistname, ProductName, Sales 